@@ -55,7 +55,7 @@ function defineModule(){
         //</arguments>
         if(typeof  proto.$clone === 'function' && proto.$clone !== clone.$.$clone ){
             return proto.$clone(state);
-        }else return _clone(proto, state);
+        }else return _instantiate(proto, state, _clone);
     }
     /**#@+ @memberOf private */
     
@@ -68,7 +68,7 @@ function defineModule(){
     /** Use this method only if `byProto()` unavailable. */
     function _cloneByCreate(/** Object */proto, /** ObjLiteral= */state){
         var newObj = Object.create(proto);
-        for(var key in state) newObj[key] = state[key];
+        for(var key in state) _assign(newObj, key, state[key]);
         return newObj;
     }
 
@@ -79,27 +79,152 @@ function defineModule(){
         
         //TODO: this is duplicated functionality of clone(), need to make ability
         //      to call this function many times.
-        if(typeof  proto.$clone === 'function' && proto.$clone !== clone.$.$clone ){
-            return proto.$clone(state);
+        // inherited $clone may be created for other prototype, so only own one is used:
+        if( _hasOwn.call(proto, '$clone') && typeof proto.$clone === 'function' && proto.$clone !== clone.$.$clone ){
+            // generated $clone calls $init hook, so the constructor is used directly:
+            return proto.$clone._Clone ? new proto.$clone._Clone(state) : proto.$clone(state);
+        }
+        // methods can't be generated for frozen prototype:
+        if( _isFrozen(proto) ){
+            return _cloneByCreate(proto, state);
         }
         
+        // generated methods are not a state, so they are un-enumerable:
         if(! _hasOwn.call(proto, 'constructor') ){
-            proto.constructor = _Clone;
+            _define(proto, 'constructor', {value:_Clone, writable:true, configurable:true});
         }
 
         function _Clone(state){
-            for(var key in state) this[key] = state[key];
+            for(var key in state) _assign(this, key, state[key]);
         }
         _Clone.prototype = proto;
 
-        /** @override */
-        proto.$clone = function(state){
+        function _newClone(proto, state){
             return new _Clone(state);
         }
 
+        /** @override */
+        var $clone = function(state){
+            return _instantiate(this, state || {}, this === proto ? _newClone : _cloneByConstructor);
+        }
+        $clone._Clone = _Clone;
+        _define(proto, '$clone', {value:$clone, writable:true, configurable:true});
+
         return new _Clone(state);
     }
 
+    /**
+     * Creates new instance by given clone method and calls its {@link clone.behavior$#$init} hook (if any).
+     * The hook receives copy of state, because clone method may change it.
+     * @returns {Object} */
+    function _instantiate(/** !Object */proto, /** !ObjLiteral */state, /** function(Object,ObjLiteral):Object */cloneMethod){
+        if( proto.$types ){
+            _checkState(proto.$types, state);
+        }
+        if( typeof proto.$init === 'function' ){
+            var initialState = {};
+            for(var key in state) initialState[key] = state[key];
+        }
+
+        return _initialize(proto, cloneMethod(proto, state), initialState);
+    }
+
+    /**
+     * Calls {@link clone.behavior$#$init} hook of created instance (if `initialState` is given)
+     * and freezes (seals) it, if required by its prototype.
+     * @returns {Object} The instance. */
+    function _initialize(/** !Object */proto, /** !Object */obj, /** ObjLiteral= */initialState){
+        if( initialState ){
+            obj.$init(initialState);
+        }
+        if( proto.$frozen ){
+            _initPending(obj);// lazy initializers can't define properties of frozen object
+            _freeze(obj);
+        }else if( proto.$sealed ){
+            _initPending(obj);
+            // inherited values can't be overridden in sealed object, so they are copied:
+            for(var keys = _stateKeys(obj, {inherited: true}), i=0, ln=keys.length; i<ln; i++){
+                if(! _hasOwn.call(obj, keys[i]) ){
+                    _define(obj, keys[i], {value: obj[ keys[i] ], writable: true, enumerable: true, configurable: true});
+                }
+            }
+            _seal(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Creates the clone of `obj` with given state (see {@link clone.$#$with}).
+     * Clone of frozen object is frozen too. Depths of layers are kept in `_layerDepths` (not in the layers,
+     * so they are not a state); without WeakMap layers are not counted and collapsed.
+     * @returns {Object} */
+    function _layer(/** !Object */obj, /** !ObjLiteral */state){
+        var depth = (_layerDepths && _layerDepths.get(obj) || 0) + 1;
+        if( depth > _withDepthLimit ){
+            // collapse layers, the top ones have priority:
+            for(; _layerDepths.has(obj); obj = _getProto(obj)){
+                for(var key in obj) if( _hasOwn.call(obj, key) && !_hasOwn.call(state, key) ){
+                    state[key] = obj[key];
+                }
+            }
+            depth = 1;
+        }
+        var layer = _clone(obj, state);
+        if( _layerDepths ){
+            _layerDepths.set(layer, depth);
+        }
+        if( _isFrozen(obj) ){
+            _freeze(layer);
+        }
+        return layer;
+    }
+
+    /** @see clone.$#$update */
+    function _updateIn(/** * */obj, /** !Array */path, /** number */i, /** function(*):* */updater){
+        var key = path[i],
+            isObject = obj !== null && typeof obj === 'object',
+            value = isObject ? obj[key] : undefined;
+
+        value = i === path.length - 1 ? updater(value) : _updateIn(value, path, i + 1, updater);
+
+        if( obj instanceof Array ){
+            var copy = obj.slice();
+            copy[key] = value;
+            return copy;
+        }
+        var state = {};
+        state[key] = value;
+        if(! isObject ){
+            return state;
+        }
+        if( obj.$types ){
+            _checkState(obj.$types, state);
+        }
+        return _layer(obj, state);
+    }
+
+    /** Checks the value of the property by `$types` of the object. */
+    function _checkProperty(/** !Object */obj, /** string */key, /** * */value){
+        if( obj.$types ){
+            var state = {};
+            state[key] = value;
+            _checkState(obj.$types, state);
+        }
+    }
+
+    /**
+     * Assigns the property. If inherited property is read-only (for example, of frozen prototype),
+     * the own property will be defined, as if it was writable.
+     * @throws {TypeError} If the object is frozen. */
+    function _assign(/** !Object */obj, /** string */key, /** * */value){
+        try{
+            obj[key] = value;
+        }catch(e){
+            if( _hasOwn.call(obj, key) || !(key in obj) ) throw e;
+            _define(obj, key, {value:value, writable:true, enumerable:true, configurable:true});
+        }
+    }
+
     /**
      * Thransforms {@link behaviorDescriptor} to the behavior object.  
      * If behavior object passed, it will be returned without changes.
@@ -108,7 +233,11 @@ function defineModule(){
     function _Behavior(/** !behaviorDescriptor|clone.behavior$ */behavior){
 
         //if( clone.behavior$.isPrototypeOf(behavior) ){
-        if( behavior instanceof _Behavior ){
+        // behaviors, created by clone.extend(descriptor), are not instances of _Behavior,
+        // but its $inherits property is un-enumerable:
+        if( behavior instanceof _Behavior
+            || _hasOwn.call(behavior, '$inherits') && !_isEnumerable.call(behavior, '$inherits')
+        ){
             return behavior;
         }
 
@@ -122,16 +251,23 @@ function defineModule(){
         }else{
             $inherits = _protoOfNewClones;
         }
+
+        /// $mixins
+
+        if( _hasOwn.call(behavior, '$mixins') ){
+            var $mixins = _mixIn(behavior);
+        }
         
         /// $defaults
 
         var $inits = behavior.$inits;
         
-        var $defaults = behavior.$defaults || $inits && {};
+        var $computed   = behavior.$computed;
+        var $asyncInits = behavior.$asyncInits;
+
+        var $defaults = behavior.$defaults || ($inits || $computed || $asyncInits) && {};
         if( $defaults && _getProto($defaults) !== $inherits ){
             $defaults = _clone($inherits, $defaults);
-            _define(behavior, '$defaults', {value: $defaults});
-            //_freeze(defaults);
             var proto = $defaults;
         }else   proto = $inherits;
         
@@ -146,10 +282,65 @@ function defineModule(){
             }
             //delete behavior.$inits;
         }
+
+        /// $asyncInits
+
+        for(key in $asyncInits) if( _hasOwn.call($asyncInits, key) ){
+            clone.defineAsyncInitPropertyOf($defaults, key, $asyncInits[key]);
+        }
+
+        /// $computed
+
+        for(key in $computed) if( _hasOwn.call($computed, key) ){
+            clone.defineComputedPropertyOf($defaults, key, $computed[key]);
+        }
         
+        /// $types
+
+        if( _hasOwn.call(behavior, '$types') ){
+            var $types = clone.Dict();
+            for(key in $inherits.$types) $types[key] = $inherits.$types[key];
+            for(key in behavior.$types) if( _hasOwn.call(behavior.$types, key) ){
+                $types[key] = behavior.$types[key];
+            }
+        }
+
+        /// $init
+
+        if( typeof behavior.$init === 'function' && _hasOwn.call(behavior, '$init') ){
+            var $init = _initChain(behavior.$init, $inherits);
+        }
+
+        /// $super
+
+        var hasSuperCalls = false;
+        for(key in behavior) if( _hasOwn.call(behavior, key) && !(key in _serviceKeys) ){
+            var method = behavior[key];
+            if( typeof method === 'function' && _superUsage.test(method) ){
+                behavior[key] = _superMethod(method, $inherits, key);
+                hasSuperCalls = true;
+            }
+        }
+
+        /// $implements
+
+        if( _hasOwn.call(behavior, '$implements') ){
+            var $implements = [].concat(behavior.$implements, $inherits.$implements || []);
+        }
+
+        /// $frozen, $sealed
+
+        if( _hasOwn.call(behavior, '$frozen') ) var $frozen = !!behavior.$frozen;
+        if( _hasOwn.call(behavior, '$sealed') ) var $sealed = !!behavior.$sealed;
+
+        /// $name
+
+        if( _hasOwn.call(behavior, '$name') ) var $name = behavior.$name;
+
         ///
 
-        //if($defaults) _freeze($defaults);
+        // inherited service properties are read-only, so they can't be copied by clone methods:
+        for(key in _serviceKeys) delete behavior[key];
 
         if( _getProto(behavior) !== proto ){
             behavior = _clone(proto, behavior);
@@ -158,14 +349,900 @@ function defineModule(){
         if( $inherits !== behavior.$inherits ){
             _define(behavior, '$inherits', {value:$inherits});
         }
+        if( $defaults && $defaults !== behavior.$defaults ){
+            _define(behavior, '$defaults', {value:$defaults});
+        }
+        if( $inits ){
+            _define(behavior, '$inits', {value:$inits});
+        }
+        if( $computed ){
+            _define(behavior, '$computed', {value:$computed});
+        }
+        if( $asyncInits ){
+            _define(behavior, '$asyncInits', {value:$asyncInits});
+        }
+        if( $mixins ){
+            _define(behavior, '$mixins', {value:$mixins});
+        }
+        if( $init ){
+            _define(behavior, '$init', {value:$init});
+        }
+        if( $types ){
+            _define(behavior, '$types', {value:$types});
+        }
+        if( $implements ){
+            _define(behavior, '$implements', {value:$implements});
+            for(var i=0, ln=$implements.length; i<ln; i++){
+                var missing = _missingMembers(behavior, $implements[i]);
+                if( missing.length ){
+                    throw new TypeError("$implements: "+ $implements[i].name +" requires "+ missing.join(', '));
+                }
+            }
+        }
+        if( $frozen !== undefined ){
+            _define(behavior, '$frozen', {value:$frozen});
+        }
+        if( $sealed !== undefined ){
+            _define(behavior, '$sealed', {value:$sealed});
+        }
+        if( behavior.$asyncInits && (behavior.$frozen || behavior.$sealed) ){// loaded values can't be defined
+            throw new TypeError("$asyncInits can't be used with "+ (behavior.$frozen ? '$frozen' : '$sealed'));
+        }
         
+        if( hasSuperCalls && behavior.$super !== _callSuper ){
+            _define(behavior, '$super', {value:_callSuper});
+        }
+        if( $name !== undefined ){
+            clone.register($name, behavior);
+            _define(behavior, '$name', {value:$name});
+        }
+        if( _inspectKey && behavior[_inspectKey] !== _customInspect ){
+            _define(behavior, _inspectKey, {value:_customInspect, writable:true, configurable:true});
+        }
+
         if( _hasOwn.call(behavior, 'constructor') && behavior.constructor.prototype !== behavior){
             behavior.constructor.prototype = behavior;
         }
 
-        //_freeze(behavior);
+        if( $defaults && _guardDefaults ){
+            _guardDefaultsOf($defaults, behavior);
+        }
+
+        if( setupOptions && setupOptions.freezeBehaviors || behavior.$frozen || behavior.$sealed ){
+            // inherited read-only properties can't be assigned, so `$defaults` are frozen with instances only:
+            if( $defaults && behavior.$frozen ) _freeze($defaults);
+            _freeze(behavior);
+        }
         return  behavior;
     }
+
+    /**
+     * Development mode (see `guardDefaults` option): protects plain objects and arrays of `$defaults`,
+     * which are shared by all clones (other objects, like Dates, are not guarded).
+     * In `'copy'` mode they are replaced by enumerable accessors, which give own deep copy
+     * (see {@link clone.deep}) to every clone on first read (behaviors and `$defaults` get the original,
+     * frozen clones — guarded one, as in `'report'` mode; without WeakMap `'report'` mode is used).
+     * In `'report'` mode in-place modification of them (and of nested objects) throws TypeError
+     * (in ES5 environments without Proxy they are frozen instead, so modification is silently ignored
+     * or throws in strict mode).
+     */
+    function _guardDefaultsOf(/** !Object */$defaults, /** !clone.behavior$ */behavior){
+        var copyMode = _guardDefaults === 'copy' && _defaultsObjects;
+        if( copyMode ){
+            _defaultsObjects.set($defaults, behavior);
+        }
+        for(var key in $defaults) if( _hasOwn.call($defaults, key) ){
+            var value = _getOwnDescriptor($defaults, key).value;
+            if(! _isPlainData(value) || _isFrozen(value) ) continue;
+
+            if( copyMode ){
+                _define($defaults, key, _copyOnReadDescriptor(key, value, behavior));
+            }else{
+                _define($defaults, key, {value: _guardShared(value, key, behavior),
+                    writable:true, enumerable:true, configurable:true
+                });
+            }
+        }
+    }
+
+    /** @returns {boolean} True, if the value is Array, or object, which prototype is `Object.prototype` or null. */
+    function _isPlainData(/** * */value){
+        if( value === null || typeof value !== 'object' ){
+            return false;
+        }
+        var proto = _getProto(value);
+        return proto === Object.prototype || proto === Array.prototype || proto === null;
+    }
+
+    /** @returns {propertyDescriptor} Accessor, which defines own copy of shared value in the clone (`'copy'` mode). */
+    function _copyOnReadDescriptor(/** string */propertyName, /** !Object */value, /** !clone.behavior$ */behavior){
+        return {
+            get: function(){
+                if( _hasOwn.call(this, '$inherits')/* behavior */ || _defaultsObjects.has(this) ){
+                    return value;
+                }
+                if( _isFrozen(this) ){// own copy can't be defined
+                    return _guardShared(value, propertyName, behavior);
+                }
+                var copy = clone.deep(value);
+                _define(this, propertyName, {value: copy, writable:true, enumerable:true, configurable:true});
+                return copy;
+            },
+            set: function(newValue){
+                _define(this, propertyName, {value: newValue, writable:true, enumerable:true, configurable:true});
+            },
+            enumerable: true,
+            configurable: true
+        };
+    }
+
+    /** @returns {number} Index of the item in the array, or -1 (`Array.prototype.indexOf` is not available in ES3). */
+    function _indexOf(/** Array */array, /** * */item){
+        for(var i=0, ln=array.length; i<ln; i++) if( array[i] === item ) return i;
+        return -1;
+    }
+
+    /** @returns {!Object} Proxy of the shared value, which throws on modification (see {@link _guardDefaultsOf}). */
+    function _guardShared(/** !Object */value, /** string */path, /** !clone.behavior$ */behavior){
+        if( typeof Proxy !== 'function' || !_guardedValues ){
+            _freeze(value);
+            return value;
+        }
+        var guarded = _guardedValues.get(value);
+        if( guarded ){
+            return guarded;
+        }
+        function report(){
+            throw new TypeError("$defaults: "+ path +" of "+ (clone.nameOf(behavior) || 'behavior')
+                + " is shared by all clones, it should not be modified in place (use $inits or clone it)");
+        }
+        guarded = new Proxy(value, {
+            get: function(target, key, receiver){
+                var item = Reflect.get(target, key, receiver),
+                    descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+                if(! _isPlainData(item) || typeof key !== 'string' || _isFrozen(item)
+                    || descriptor && !descriptor.configurable && !descriptor.writable// proxy invariant
+                ){
+                    return item;
+                }
+                return _guardShared(item, path +'.'+ key, behavior);
+            },
+            set: function(target, key, item, receiver){
+                if( receiver !== guarded ){// assignment to the clone of guarded object defines own property
+                    return Reflect.set(target, key, item, receiver);
+                }
+                report();
+            },
+            defineProperty: report,
+            deleteProperty: report
+        });
+        _guardedValues.set(value, guarded);
+        return guarded;
+    }
+
+    /**
+     * Copies methods, `$defaults` and `$inits` of `behavior.$mixins` into the behavior descriptor.
+     * Only own properties of mixins are used. Own members of the descriptor overrides mixed in ones.
+     * Mixin may be passed as `{$mixin: mixin, $exclude: ['name'], $alias: {name: 'newName'}}`.
+     * @throws {TypeError} If the same member is defined in several mixins (and not excluded or aliased).
+     * @returns {Array} List of mixed in objects. */
+    function _mixIn(/** !behaviorDescriptor */behavior){
+        var sources = [].concat(behavior.$mixins), $mixins = [], initHooks = [],
+            methods = clone.Dict(), sections = clone.Dict();
+        for(var i=0, ln=_mixedSections.length; i<ln; i++){
+            sections[ _mixedSections[i] ] = clone.Dict();
+        }
+
+        for(i=0, ln=sources.length; i<ln; i++){
+            var mixin = sources[i], exclude = clone.Dict(), alias = clone.Dict();
+            if( _hasOwn.call(mixin, '$mixin') ){
+                for(var j=0, exLn=(mixin.$exclude||[]).length; j<exLn; j++){
+                    exclude[ mixin.$exclude[j] ] = true;
+                }
+                for(var key in mixin.$alias) if( _hasOwn.call(mixin.$alias, key) ){
+                    alias[key] = mixin.$alias[key];
+                }
+                mixin = mixin.$mixin;
+            }
+            $mixins.push(mixin);
+
+            _mixMembers(methods, mixin, exclude, alias);
+            for(var name in sections) if( _hasOwn.call(mixin, name) ){
+                _mixMembers(sections[name], mixin[name], exclude);
+            }
+            if( _hasOwn.call(mixin, '$init') ) initHooks.push(mixin.$init);
+        }
+
+        for(key in methods) if(! _hasOwn.call(behavior, key) ){
+            behavior[key] = methods[key];
+        }
+        for(name in sections) if( clone.Dict.size(sections[name]) ){
+            var own = behavior[name];
+            behavior[name] = {};
+            for(key in sections[name]) behavior[name][key] = sections[name][key];
+            for(key in own)            behavior[name][key] = own[key];
+        }
+        if( initHooks.length ){
+            var ownInit = behavior.$init;
+            behavior.$init = function clone_mixinsInit(/** ObjLiteral */state){
+                for(var i=0, ln=initHooks.length; i<ln; i++) initHooks[i].call(this, state);
+                if( ownInit ) ownInit.call(this, state);
+            };
+        }
+        return $mixins;
+    }
+
+    function _mixMembers(/** clone.Dict */target, /** Object */source, /** clone.Dict */exclude, /** clone.Dict= */alias){
+        for(var key in source) if( _hasOwn.call(source, key) && !(key in _serviceKeys) && !(key in exclude)
+            && key !== 'constructor'
+        ){
+            var name = alias && key in alias ? alias[key] : key;
+            if( name in target && target[name] !== source[key] ){
+                throw new TypeError("$mixins: "+ name +" is defined in several mixins, use $exclude or $alias");
+            }
+            target[name] = source[key];
+        }
+    }
+
+    /**
+     * Checks own properties of `state`, that are declared in {@link clone.behavior$#$types}.
+     * @throws {TypeError} */
+    function _checkState(/** !clone.Dict */$types, /** !Object */state){
+        for(var key in state) if( _hasOwn.call(state, key) && key in $types ){
+            _checkType($types[key], state[key], key);
+        }
+    }
+
+    /**
+     * Checks value by the type (see {@link clone.behavior$#$types}).
+     * @throws {TypeError} Describes the property path, expected and given types. */
+    function _checkType(/** string|Array|function(*):boolean|Object */type, /** * */value, /** string */path){
+        if( type instanceof Array ){
+            if( value instanceof Array ){
+                for(var i=0, ln=value.length; i<ln; i++){
+                    _checkType(type[0], value[i], path +'['+ i +']');
+                }
+                return;
+            }
+        }else if( typeof type === 'string' ){
+            var isNullable = type.charAt(0) === '?',
+                typeName   = isNullable ? type.substring(1) : type;
+            if( isNullable && (value === null || value === undefined)
+                || typeName === '*'
+                || typeof value === typeName && value !== null
+            ){
+                return;
+            }
+        }else if( typeof type === 'function' ){
+            if( type(value) ) return;
+        }else if( Object.prototype.isPrototypeOf.call(type, value) ){
+            return;
+        }
+        throw new TypeError("$types: "+ path +" should be "+ _typeName(type) +", but "+ _typeName(value, true) +" given");
+    }
+
+    /** @returns {string} Name of the type, or type of the value (if `isValue`). */
+    function _typeName(/** * */type, /** boolean= */isValue){
+        if( isValue ){
+            return type === null ? 'null' : type instanceof Array ? 'array' : typeof type;
+        }
+        if( type instanceof Array ){
+            return '['+ _typeName(type[0]) +']';
+        }else if( typeof type === 'string' ){
+            return type;
+        }else if( typeof type === 'function' ){
+            return type.$type || type.name || 'valid value';
+        }else{
+            return 'clone of '+ (clone.nameOf(type) || type.constructor && type.constructor.name || 'object');
+        }
+    }
+
+    /**
+     * Returns names of protocol members, that the object doesn't have.
+     * Properties, declared in {@link clone.behavior$#$types}, are treated as present.
+     * @returns {Array.<string>} */
+    function _missingMembers(/** !Object */obj, /** !clone.protocol */protocol){
+        var missing = [], methods = protocol.methods, properties = protocol.properties;
+        for(var i=0, ln=methods.length; i<ln; i++){
+            if( typeof obj[ methods[i] ] !== 'function' ) missing.push(methods[i] +'()');
+        }
+        for(i=0, ln=properties.length; i<ln; i++){
+            if(!( properties[i] in obj || obj.$types && properties[i] in obj.$types )) missing.push(properties[i]);
+        }
+        return missing;
+    }
+
+    /**
+     * Returns keys of the object state: own enumerable properties, and, if `options.inherited` or `options.upTo`
+     * is passed, inherited ones (except methods) up to `upTo` prototype, `clone.$` or `Object.prototype`.
+     * Not yet initialized lazy properties (see {@link clone.behavior$#$inits}) are skipped, unless
+     * `options.includeInits` is `'trigger'` (they are initialized) or `'descriptor'` (see {@link _stateValue}).
+     * @throws {TypeError} If `includeInits` option is invalid.
+     * @returns {Array.<string>} */
+    function _stateKeys(/** !Object */obj, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+        var upTo = options && options.upTo,
+            inherited = options && (options.inherited || upTo),
+            includeInits = options && options.includeInits || 'skip',
+            keys = [], found = clone.Dict();
+
+        if( includeInits === 'trigger' ){
+            _initPending(obj, upTo);
+        }else if( includeInits !== 'skip' && includeInits !== 'descriptor' ){
+            throw new TypeError("includeInits option should be 'skip', 'trigger' or 'descriptor', but "+ includeInits +" given");
+        }
+        for(var proto = obj; proto && proto !== upTo; proto = next){
+            if( proto !== obj && (proto === clone.$ || proto === Object.prototype) ) break;
+            if( proto === obj || inherited ){
+                for(var key in proto) if( _hasOwn.call(proto, key) && !(key in found) ){
+                    found[key] = true;
+                    if( proto === obj || typeof obj[key] !== 'function' ) keys.push(key);
+                }
+            }
+            if( includeInits === 'descriptor' ){
+                for(var names = _getOwnNames(proto), i=0, ln=names.length; i<ln; i++){
+                    if(!( names[i] in found ) && _isLazy(proto, names[i]) ){
+                        found[ names[i] ] = true;
+                        keys.push(names[i]);
+                    }
+                }
+            }
+            var next = (inherited || includeInits === 'descriptor') && _getProto(proto);
+            if( next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        return keys;
+    }
+
+    /**
+     * Returns the prototype, where the state iteration stops (see {@link _stateKeys}): the prototype of the object,
+     * or `clone.$` (`Object.prototype`) with `inherited` option, or `upTo` one. Flattened state, copied to its clone,
+     * is not mixed with properties inherited by the object.
+     * @returns {Object} */
+    function _stateBase(/** !Object */obj, /** {inherited:boolean, upTo:Object}= */options){
+        if(!( options && (options.inherited || options.upTo) )){
+            return _getProto(obj);
+        }
+        if( options.upTo ){
+            return options.upTo;
+        }
+        for(var proto = _getProto(obj); proto && proto !== clone.$ && proto !== Object.prototype; proto = next){
+            var next = _getProto(proto);
+            if( next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        return proto;
+    }
+
+    /**
+     * Returns the value of property, or, if `options.includeInits` is `'descriptor'` and the property is not yet
+     * initialized, the descriptor of lazy initialization accessor (so initializer is not called).
+     * @returns {*} */
+    function _stateValue(/** !Object */obj, /** string */propertyName, /** {includeInits:string}= */options){
+        if( options && options.includeInits === 'descriptor' && _isPending(obj, propertyName) ){
+            return _getOwnDescriptor( clone.whereDefined(obj, propertyName), propertyName );
+        }
+        return obj[propertyName];
+    }
+
+    /** @returns {boolean} (see {@link clone.equals}) */
+    function _equals(/** * */a, /** * */b, /** !Object */options, /** Array */pairs){
+        if( a === b || a !== a && b !== b/* NaN */ ){
+            return true;
+        }
+        if( !options.deep || a === null || b === null || typeof a !== 'object' || typeof b !== 'object' ){
+            return false;
+        }
+        if( a instanceof Date || b instanceof Date ){
+            return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+        }
+        if( (a instanceof Array) !== (b instanceof Array) ){
+            return false;
+        }
+        if( a instanceof Array ){
+            if( a.length !== b.length ) return false;
+            for(var i=0, ln=a.length; i<ln; i++){
+                if(! _equals(a[i], b[i], options, pairs) ) return false;
+            }
+            return true;
+        }
+        return _diff(a, b, options, [], [], pairs).length === 0;
+    }
+
+    /** @returns {Array} changes (see {@link clone.diff}) */
+    function _diff(/** !Object */a, /** !Object */b, /** !Object */options, /** Array */path, /** Array */changes, /** Array */pairs){
+        for(var i=0, ln=pairs.length; i<ln; i++){
+            if( pairs[i][0] === a && pairs[i][1] === b ) return changes;// cyclic reference
+        }
+        pairs.push([a, b]);
+
+        var stateA = _comparableState(a, options), stateB = _comparableState(b, options);
+        for(var key in stateA) if( _hasOwn.call(stateA, key) ){
+            var oldValue = stateA[key], value = stateB[key];
+            if(! _hasOwn.call(stateB, key) ){
+                if(! _isPending(b, key) ){
+                    changes.push({op: 'remove', path: path.concat(key).join('.'), oldValue: oldValue});
+                }
+            }else if( options.deep && _isNestedState(oldValue) && _isNestedState(value) ){
+                _diff(oldValue, value, options, path.concat(key), changes, pairs);
+            }else if(! _equals(oldValue, value, options, pairs) ){
+                changes.push({op: 'change', path: path.concat(key).join('.'), oldValue: oldValue, value: value});
+            }
+        }
+        for(key in stateB) if( _hasOwn.call(stateB, key) && !_hasOwn.call(stateA, key) && !_isPending(a, key) ){
+            changes.push({op: 'add', path: path.concat(key).join('.'), value: stateB[key]});
+        }
+        return changes;
+    }
+
+    /** @returns {ObjLiteral} Own (or all, if `options.includeInherited`) enumerable state, except methods. */
+    function _comparableState(/** !Object */obj, /** !Object */options){
+        if( options.includeInherited ){
+            return clone.flatten(obj);
+        }
+        var state = {};
+        for(var key in obj) if( _hasOwn.call(obj, key) && typeof obj[key] !== 'function' ){
+            state[key] = obj[key];
+        }
+        return state;
+    }
+
+    /** @returns {boolean} True, if the value is object, which state is compared recursively by {@link clone.diff}. */
+    function _isNestedState(/** * */value){
+        return value !== null && typeof value === 'object'
+            && !(value instanceof Array) && !(value instanceof Date) && !(value instanceof RegExp);
+    }
+
+    /**
+     * Returns true, if the property is own, or, if `allowInherited`, it's inherited not a method
+     * or declared in `$types` (see {@link clone.$#$set}). `__proto__` is never settable (it would change prototype).
+     * @returns {boolean} */
+    function _isSettable(/** !Object */obj, /** string */propertyName, /** boolean= */allowInherited){
+        if( propertyName === '__proto__' ){
+            return false;
+        }
+        if( _hasOwn.call(obj, propertyName) ){
+            return true;
+        }
+        if(! allowInherited ){
+            return false;
+        }
+        if( obj.$types && propertyName in obj.$types ){
+            return true;
+        }
+        var owner = clone.whereDefined(obj, propertyName);
+        return !!owner && typeof _getOwnDescriptor(owner, propertyName).value !== 'function';
+    }
+
+    /** @returns {boolean} True, if the property is inherited lazy initializer, which is not called yet. */
+    function _isPending(/** !Object */obj, /** string */propertyName){
+        var owner = !_hasOwn.call(obj, propertyName) && clone.whereDefined(obj, propertyName);
+        return !!owner && _isLazy(owner, propertyName);
+    }
+
+    /**
+     * Returns the copy of object without the property. If the property is inherited, the state of prototypes
+     * up to its owner is copied too, so the copy inherits from the prototype of owner.
+     * @returns {Object} */
+    function _without(/** !Object */obj, /** string */propertyName){
+        var owner = clone.whereDefined(obj, propertyName),
+            base = owner ? _getProto(owner) : _getProto(obj),
+            state = clone.flatten(obj, {upTo: base}),
+            copy = clone.create(base);
+        for(var key in state) if( key !== propertyName ){
+            copy[key] = state[key];
+        }
+        return copy;
+    }
+
+    function _eventName(/** string */event){
+        var dotPos = event.indexOf('.');
+        return dotPos === -1 ? event : event.substring(0, dotPos);
+    }
+
+    function _eventNamespace(/** string */event){
+        var dotPos = event.indexOf('.');
+        return dotPos === -1 ? '' : event.substring(dotPos + 1);
+    }
+
+    /** @returns {boolean} True, if there were listeners. */
+    function _callEventListeners(/** !clone.events$ */obj, /** string */name, /** Array */args, /** Array */errors){
+        var listeners = obj.$listeners[name];
+        if(! listeners || ! listeners.length ) return false;
+
+        var registered = listeners;
+        listeners = listeners.slice();// listeners can be removed while calling
+        for(var i=0, ln=listeners.length; i<ln; i++){
+            if( listeners[i].once ){// only this registration is removed (the function may be added by `on` too)
+                var index = _indexOf(registered, listeners[i]);
+                if( index >= 0 ) registered.splice(index, 1);
+            }
+            try{
+                listeners[i].listener.apply(obj, args);
+            }catch(e){
+                errors.push(e);
+            }
+        }
+        return true;
+    }
+
+    /** Collects objects, which are referenced more than once (see {@link clone.stringify}). */
+    function _findSharedRefs(/** * */value, /** {seen:Array, shared:Array} */refs){
+        if( value === null || typeof value !== 'object' || value instanceof Date ) return;
+        for(var i=0, ln=refs.seen.length; i<ln; i++) if( refs.seen[i] === value ){
+            refs.shared.push(value);
+            return;
+        }
+        refs.seen.push(value);
+        for(var key in value){
+            var item = value[key];
+            if( typeof item === 'object' ) _findSharedRefs(item, refs);
+        }
+    }
+
+    /** @returns {*} JSON-compatible value (see {@link clone.stringify}) */
+    function _encode(/** * */value, /** !Object */registry, /** Array */shared, /** Array */encoded){
+        if( value === null || typeof value !== 'object' ){
+            return typeof value === 'function' ? undefined : value;
+        }
+        if( value instanceof Date ){
+            return {$date: value.getTime()};
+        }
+        for(var id=0, ln=shared.length; id<ln; id++) if( shared[id] === value ) break;
+        if( id === ln ){
+            id = undefined;
+        }else if( encoded[id] ){
+            return {$ref: id};
+        }else{
+            encoded[id] = true;
+        }
+
+        if( value instanceof Array ){
+            var result = [];
+            for(var i=0; i<value.length; i++){
+                var item = _encode(value[i], registry, shared, encoded);
+                result.push(item === undefined ? null : item);
+            }
+            return id === undefined ? result : {$id: id, $array: result};
+        }
+
+        result = {};
+        if( id !== undefined ) result.$id = id;
+
+        var proto = _getProto(value), protoName, state = value;
+        if( proto === null ){
+            result.$proto = null;
+        }else if( proto !== Object.prototype ){
+            for(var protos = clone.chain(value), p=0; p < protos.length; p++){
+                if( protos[p] === Object.prototype ) break;
+                if( protos[p] === clone.$ ){
+                    protoName = 'clone.$';
+                    break;
+                }
+                for(var name in registry) if( _hasOwn.call(registry, name) && registry[name] === protos[p] ){
+                    protoName = name;
+                    break;
+                }
+                if( protoName ) break;
+            }
+            state = clone.flatten(value, {upTo: protos[p]});
+            if( protoName ) result.$proto = protoName;
+        }
+        for(var key in state) if( _hasOwn.call(state, key) ){
+            var encodedValue = _encode(state[key], registry, shared, encoded);
+            if( encodedValue !== undefined ) result[key] = encodedValue;
+        }
+        return result;
+    }
+
+    /** @returns {*} restored value (see {@link clone.parse}) */
+    function _decode(/** * */data, /** !Object */context, /** Object= */holder, /** string= */key){
+        if( data === null || typeof data !== 'object' ){
+            return data;
+        }
+        if( data instanceof Array ){
+            var array = [];
+            for(var i=0, ln=data.length; i<ln; i++) array.push( _decode(data[i], context, array, i) );
+            return array;
+        }
+        if( '$ref' in data ){
+            if(! context.byId[data.$ref] ){// the object is not created yet (cyclic reference)
+                context.fixups.push({holder: holder, key: key, id: data.$ref});
+            }
+            return context.byId[data.$ref];
+        }
+        if( '$date' in data ){
+            return new Date(data.$date);
+        }
+        if( '$array' in data ){
+            array = context.byId[data.$id] = [];
+            for(i=0, ln=data.$array.length; i<ln; i++) array.push( _decode(data.$array[i], context, array, i) );
+            return array;
+        }
+
+        var state = {};
+        for(var name in data) if( name !== '$id' && name !== '$proto' ){
+            state[name] = _decode(data[name], context, state, name);
+        }
+
+        if(! ('$proto' in data) ){
+            var obj = state;
+        }else if( data.$proto === null ){
+            obj = clone.Dict(state);
+        }else{
+            var proto = data.$proto === 'clone.$' ? clone.$ : context.registry[data.$proto];
+            if(! proto ){
+                throw new TypeError("clone.parse: unknown prototype "+ data.$proto);
+            }
+            obj = _clone(proto, state);// $types and $init are applied after fixups (see clone.parse)
+            context.created.push({proto: proto, obj: obj, state: state});
+        }
+        context.states.push(state);
+        context.objects.push(obj);
+        if( '$id' in data ){
+            context.byId[data.$id] = obj;
+        }
+        return obj;
+    }
+
+    /**
+     * Custom inspect function of `util.inspect` (see {@link clone.inspect}).
+     * @this {Object}
+     * @returns {string} */
+    function _customInspect(/** number */depth, /** Object= */options, /** function(*,Object):string= */inspect){
+        options = options || {};
+        return _inspect(this, depth === null ? Infinity : depth, options, inspect, options.cloneInspectSeen || []);
+    }
+
+    /**
+     * @param seen Objects, which are being inspected (from outer to inner one), to detect cyclic references.
+     *             It's passed through `util.inspect` as `cloneInspectSeen` option.
+     * @returns {string} (see {@link clone.inspect}) */
+    function _inspect(/** !Object */obj, /** number */depth, /** !Object */options, /** function(*,Object):string= */inspect,
+                      /** !Array */seen
+    ){
+        var label = _inspectLabel(obj);
+        if( _indexOf(seen, obj) !== -1 ){
+            return '[Circular]';
+        }
+        if( depth < 0 ){
+            return '['+ label +']';
+        }
+        seen.push(obj);
+
+        var items = [], found = clone.Dict();
+        for(var proto = obj; proto && proto !== clone.$ && proto !== Object.prototype; proto = next){
+            var names = _getOwnNames(proto);
+            for(var i=0, ln=names.length; i<ln; i++){
+                var name = names[i];
+                if( name in found ) continue;
+                found[name] = true;
+
+                var descriptor = _getOwnDescriptor(proto, name), getter = descriptor.get;
+                var lazy = getter && (getter.$initializer ? 'lazy' : getter.$asyncInitializer ? 'async' : getter.$computed && 'computed');
+                if( lazy ){
+                    items.push(name +': ['+ lazy +']');
+                }else if( descriptor.enumerable ){
+                    var value = obj[name];// getters should be called in obj context
+                    if( typeof value !== 'function' ){
+                        items.push( name +': '+ _inspectValue(value, depth - 1, options, inspect, seen) + (proto !== obj ? ' (inherited)' : '') );
+                    }
+                }
+            }
+            var next = _getProto(proto);
+            if( next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        seen.pop();
+        return label + (items.length ? ' { '+ items.join(', ') +' }' : ' {}');
+    }
+
+    /** @returns {string} Registered names of prototypes: `'app.models.Admin < app.models.User'`. */
+    function _inspectLabel(/** !Object */obj){
+        var names = [];
+        for(var proto = obj; proto; proto = next){
+            if( _hasOwn.call(proto, '$name') && _registry[proto.$name] === proto ){
+                names.push(proto.$name);
+            }
+            var next = _getProto(proto);
+            if( next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        return names.length ? names.join(' < ') : _getProto(obj) === null ? 'Dict' : 'Object';
+    }
+
+    /** @returns {string} */
+    function _inspectValue(/** * */value, /** number */depth, /** !Object */options, /** function(*,Object):string= */inspect,
+                           /** !Array */seen
+    ){
+        if( inspect && value !== null && typeof value === 'object' && _getProto(value) !== null ){
+            if( _indexOf(seen, value) !== -1 ){
+                return '[Circular]';
+            }
+            var nestedOptions = {};
+            for(var key in options) nestedOptions[key] = options[key];
+            nestedOptions.depth = depth === Infinity ? null : depth;
+            nestedOptions.cloneInspectSeen = seen;
+            return inspect(value, nestedOptions);
+        }
+        if( typeof value === 'string' ){
+            return "'"+ value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") +"'";
+        }else if( typeof value === 'function' ){
+            return '[Function'+ (value.name ? ': '+ value.name : '') +']';
+        }else if( value === null || typeof value !== 'object' || value instanceof Date || value instanceof RegExp ){
+            return String(value);
+        }else if( value instanceof Array ){
+            if( _indexOf(seen, value) !== -1 ) return '[Circular]';
+            if( depth < 0 ) return '[Array]';
+            seen.push(value);
+            for(var items = [], i=0; i < value.length; i++) items.push( _inspectValue(value[i], depth - 1, options, inspect, seen) );
+            seen.pop();
+            return items.length ? '[ '+ items.join(', ') +' ]' : '[]';
+        }
+        return _inspect(value, depth, options, inspect, seen);
+    }
+
+    /**
+     * Calls the getter in context of tracker — clone of the object, that records names of read properties.
+     * Reads of not (yet) existing properties (`this.nick || this.name`) are recorded by Proxy; without it
+     * such reads can't be detected, so result is returned with `deps: null` and should not be cached.
+     * @see clone.defineComputedPropertyOf
+     * @returns {{value:*, deps:Array.<string>, values:Array}} */
+    function _compute(/** !Object */obj, /** function():* */getter, /** string */propertyName){
+        var deps = [], values = [], tracker = clone.create(obj), found = clone.Dict(), defined = clone.Dict();
+
+        // all properties (including un-enumerable lazy ones) are tracked:
+        for(var protos = [obj].concat(clone.chain(obj)), i=0; protos[i] !== Object.prototype && i < protos.length; i++){
+            for(var names = _getOwnNames(protos[i]), j=0, ln=names.length; j<ln; j++){
+                var key = names[j];
+                if(!( key in defined ) && key !== '$computedCache' ){
+                    defined[key] = true;
+                    _define(tracker, key, {configurable: true, get: _tracking(key)});
+                }
+            }
+        }
+
+        function _tracking(key){
+            return function(){
+                var value = obj[key];
+                if(!( key in found ) && typeof value !== 'function' ){
+                    found[key] = true;
+                    deps.push(key);
+                    values.push(value);
+                }
+                return value;
+            }
+        }
+        if( typeof Proxy !== 'function' ){
+            return {value: getter.call(tracker, propertyName), deps: null, values: null};
+        }
+        tracker = new Proxy(tracker, {
+            get: function(target, key, receiver){
+                if( typeof key === 'string' && !( key in defined ) && key !== '$computedCache' ){
+                    return _tracking(key)();
+                }
+                return Reflect.get(target, key, receiver);
+            },
+            has: function(target, key){
+                if( typeof key === 'string' && !( key in defined ) ) _tracking(key)();
+                return key in obj;
+            }
+        });
+        return {value: getter.call(tracker, propertyName), deps: deps, values: values};
+    }
+
+    /**
+     * Replaces the property by accessor. Values are stored in `$observed` table of the object (not in closure),
+     * so copies of accessor (see {@link clone.deep}) use its own values.
+     * @see clone.observable$ */
+    function _observeProperty(/** !clone.observable$ */obj, /** string */name, /** * */value){
+        if(! _hasOwn.call(obj, name) ){
+            obj.$observed.shadowed[name] = clone.whereDefined(obj, name);
+        }
+        obj.$observed.values[name] = value;
+        _define(obj, name, {enumerable: true, configurable: true,
+            get: function(){
+                return this.$observed.values[name];
+            },
+            set: function(newValue){
+                var observed = _ownObserved(this), oldValue = observed.values[name];
+                if( newValue === oldValue ) return;
+                var change = {object: this, name: name, oldValue: oldValue, value: newValue};
+                if( observed.shadowed[name] ){
+                    change.shadowed = observed.shadowed[name];
+                    delete observed.shadowed[name];
+                }
+                observed.values[name] = newValue;
+                if( this.$changes ){
+                    this.$changes.push(change);
+                }else{
+                    _notifyObservers(this, [change]);
+                }
+            }
+        });
+    }
+
+    /**
+     * Defines own `$observers`, `$changes` and `$observed` tables of the object, unless it has them.
+     * Clones, created without `$init` (by {@link clone.$#$with}, {@link clone.patch} etc), inherit the tables
+     * of the original, so they get own ones on first write: its values inherit values of the original.
+     * @returns {{values: !Object, shadowed: !clone.Dict}} Own `$observed` table. */
+    function _ownObserved(/** !clone.observable$ */obj){
+        if(! _hasOwn.call(obj, '$observed') ){
+            var inherited = obj.$observed;
+            _define(obj, '$observers', {value: clone.Dict()});
+            _define(obj, '$changes',   {value: null, writable: true});
+            _define(obj, '$observed',  {value: {
+                values:   inherited ? clone.create(inherited.values) : clone.Dict(),
+                shadowed: clone.Dict()
+            }});
+        }
+        return obj.$observed;
+    }
+
+    /** Calls wildcard listeners with all changes, and listeners of properties with its changes. */
+    function _notifyObservers(/** !clone.observable$ */obj, /** Array */changes){
+        if(! changes.length ) return;
+        var observers = obj.$observers, i, ln;
+
+        for(var name in observers) if( name !== '*' ){
+            var ownChanges = [];
+            for(i=0, ln=changes.length; i<ln; i++){
+                if( changes[i].name === name ) ownChanges.push(changes[i]);
+            }
+            if( ownChanges.length ) _callListeners(obj, observers[name], ownChanges);
+        }
+        if( observers['*'] ){
+            _callListeners(obj, observers['*'], changes);
+        }
+    }
+
+    function _callListeners(/** !Object */obj, /** Array.<function> */listeners, /** Array */changes){
+        listeners = listeners.slice();// listeners can be removed while calling
+        for(var i=0, ln=listeners.length; i<ln; i++){
+            listeners[i].call(obj, changes);
+        }
+    }
+
+    /**
+     * Makes {@link clone.behavior$#$init} hook, that calls inherited hook before the own one.
+     * @returns {function(ObjLiteral)} */
+    function _initChain(/** function(ObjLiteral) */init, /** !Object */$inherits){
+        return function clone_init(/** ObjLiteral */state){
+            if( typeof $inherits.$init === 'function' ){
+                $inherits.$init.call(this, state);
+            }
+            init.call(this, state);
+        }
+    }
+
+    /**
+     * Wraps behavior method, that uses `this.$super()`, so it will be able to call the same-named method
+     * of the `$inherits` chain. The inherited method is looked up on each call, not on wrapping.
+     * It's stored in module-level variable for the time of synchronous call only (see {@link clone.behavior$#$super}).
+     * @returns {function} */
+    function _superMethod(/** function */method, /** !Object */$inherits, /** string */name){
+        return function clone_superWrapper(){
+            var prevSuper = _super, prevSuperName = _superName;
+            _super = $inherits[name];
+            _superName = name;
+            try{
+                return method.apply(this, arguments);
+            }finally{
+                _super = prevSuper;
+                _superName = prevSuperName;
+            }
+        }
+    }
+
+    /**
+     * Calls inherited version of currently executing method.
+     * Available as `this.$super(...)` inside the methods of behaviors.
+     * @returns {*} */
+    function _callSuper(/** ...* */){
+        if( typeof _super !== 'function' ){
+            throw new TypeError( _superName
+                ? "$super: inherited method "+ _superName +" is not a function"
+                : "$super called outside of behavior method"
+            );
+        }
+        return _super.apply(this, arguments);
+    }
     
     /**#@- private */
 
@@ -177,7 +1254,7 @@ function defineModule(){
                 data = {};
             }//</arguments>
             data.__proto__ = null;
-            return data;
+            return _iterable(data);
         }
     }else{
         /**
@@ -246,10 +1323,92 @@ function defineModule(){
         clone.Dict = function Dict_byCreate(/** !ObjLiteral= */data){
             var dict = (Object.create || _objectCreate_es3)(null);
             for(var key in data) dict[key] = data[key];
-            return dict;
+            return _iterable(dict);
         }
     }
     clone.Dict.prototype = null;// does not affect anything, just for ideology
+
+    // Dict has no prototype, so its helpers are static: dictionary may contain any key,
+    // including `__proto__` and `hasOwnProperty`. They accept ordinary objects too (own properties are used).
+    // In ES2015 environments Dict is iterable: `for(var [key, value] of dict)`.
+
+    /** @returns {Array.<string>} Own enumerable keys of the dictionary. */
+    clone.Dict.keys = function(/** !Object */dict){
+        var keys = [];
+        for(var key in dict) if( _hasOwn.call(dict, key) ) keys.push(key);
+        return keys;
+    };
+
+    /** @returns {Array} Values of the dictionary. */
+    clone.Dict.values = function(/** !Object */dict){
+        var values = [];
+        for(var key in dict) if( _hasOwn.call(dict, key) ) values.push(dict[key]);
+        return values;
+    };
+
+    /** @returns {Array.<Array>} `[key, value]` pairs of the dictionary. */
+    clone.Dict.entries = function(/** !Object */dict){
+        var entries = [];
+        for(var key in dict) if( _hasOwn.call(dict, key) ) entries.push([key, dict[key]]);
+        return entries;
+    };
+
+    /** @returns {number} Number of keys in the dictionary. */
+    clone.Dict.size = function(/** !Object */dict){
+        var size = 0;
+        for(var key in dict) if( _hasOwn.call(dict, key) ) size++;
+        return size;
+    };
+
+    /** @returns {*} The value of the key, or `defaultValue`, if the dictionary has no such key. */
+    clone.Dict.getOr = function(/** !Object */dict, /** string */key, /** * */defaultValue){
+        return _hasOwn.call(dict, key) ? dict[key] : defaultValue;
+    };
+
+    /**
+     * Returns new dictionary with keys of all given ones (the last has the priority). Arguments are not modified.
+     * @returns {clone.Dict} */
+    clone.Dict.merge = function(/** ...Object */dicts){
+        var merged = clone.Dict();
+        for(var i=0, ln=arguments.length; i<ln; i++){
+            var dict = arguments[i];
+            for(var key in dict) if( _hasOwn.call(dict, key) ) merged[key] = dict[key];
+        }
+        return merged;
+    };
+
+    /**
+     * Returns ES2015 iterator of `[key, value]` pairs. Keys are taken at the moment of call.
+     * @returns {{next:function():{value:Array, done:boolean}}} */
+    clone.Dict.iterate = function(/** !Object */dict){
+        var keys = clone.Dict.keys(dict), i = 0;
+        var iterator = {
+            next: function(){
+                if( i < keys.length ){
+                    var key = keys[i++];
+                    return {value: [key, dict[key]], done: false};
+                }
+                return {value: undefined, done: true};
+            }
+        };
+        if( _iteratorKey ){
+            iterator[_iteratorKey] = function(){ return this };
+        }
+        return iterator;
+    };
+
+    /** Defines un-enumerable `Symbol.iterator` method of the dictionary (if supported). */
+    function _iterable(/** !clone.Dict */dict){
+        if( _iteratorKey ){
+            Object.defineProperty(dict, _iteratorKey, {value: _dictIterator, writable: true, configurable: true});
+        }
+        return dict;
+    }
+
+    /** @this {clone.Dict} */
+    function _dictIterator(){
+        return clone.Dict.iterate(this);
+    }
     
     // // // // // // // // // // // // // // // // // // // // // // // // // //
     // static methods:
@@ -318,9 +1477,94 @@ function defineModule(){
                 _define(this, propertyName, initedDescriptor);
             }
         });
+        descriptor.get.$initializer = getter;// marks lazy initialization accessor
         _define(obj, propertyName, descriptor);
     };
     
+    /**
+     * Defines asynchronous lazy initialization property. On first read the initializer is called,
+     * and the property is replaced by its result — promise (any thenable), so concurrent reads share one loading.
+     * When promise is resolved, the property is replaced by the value (as in {@link clone.defineInitPropertyOf}),
+     * so `await obj.property` works before and after loading.
+     * If promise is rejected, the initializer is restored, so next read will retry.
+     * @throws {TypeError} On read, if the initializer doesn't return thenable.
+     * @see clone.behavior$#$asyncInits */
+    clone.defineAsyncInitPropertyOf = function(
+        /** object */obj,
+        /** string */propertyName,
+        /** function(string):Thenable */initializer
+    ){
+        var descriptor = {configurable: true, enumerable: false,
+            get: function clone_asyncInitGetter(){
+                var self = this, thenable = initializer.call(this, propertyName);
+                if( thenable === null || typeof thenable !== 'object' && typeof thenable !== 'function'
+                    || typeof thenable.then !== 'function'
+                ){
+                    throw new TypeError("$asyncInits: initializer of "+ propertyName +" should return a promise (thenable)");
+                }
+                var loading = thenable.then(
+                    function(value){
+                        if( self[propertyName] === loading ){// was not changed while loading
+                            _define(self, propertyName, {value: value, writable: true, enumerable: true, configurable: true});
+                        }
+                        return value;
+                    },
+                    function(error){
+                        if( _hasOwn.call(self, propertyName) && self[propertyName] === loading ){
+                            delete self[propertyName];// retry on next read
+                        }
+                        throw error;
+                    }
+                );
+                // un-enumerable while loading:
+                _define(this, propertyName, {value: loading, writable: true, enumerable: false, configurable: true});
+                return loading;
+            },
+            set: function clone_asyncInitSetter(value){
+                _define(this, propertyName, {value: value, writable: true, enumerable: true, configurable: true});
+            }
+        };
+        descriptor.get.$asyncInitializer = initializer;// marks asynchronous lazy initialization accessor
+        _define(obj, propertyName, descriptor);
+    };
+
+    /**
+     * Defines computed (derived) property: its getter result is cached for every object (in un-enumerable
+     * `$computedCache` property), and recomputed only when some of properties, read by the getter, are changed
+     * (by any way: assignment, {@link clone.$#$set}, setters). Only direct reads of `this` properties
+     * are tracked (`this.a.b` depends on `a` only), in-place modification of its values is not detected.
+     * Reads of missing properties are tracked too, so defining them later recomputes the value (in ES5
+     * environments without Proxy the value is not cached at all).
+     * The property is read-only and un-enumerable.
+     * @see clone.behavior$#$computed */
+    clone.defineComputedPropertyOf = function(
+        /** object */obj,
+        /** string */propertyName,
+        /** function():* */getter
+    ){
+        var descriptor = {configurable: true, enumerable: false,
+            get: function clone_computedGetter(){
+                var cache = this.$computedCache && _hasOwn.call(this, '$computedCache') && this.$computedCache[propertyName];
+                if( cache ){
+                    for(var i=0, ln=cache.deps.length; i<ln; i++){
+                        if( this[ cache.deps[i] ] !== cache.values[i] ) break;
+                    }
+                    if( i === ln ) return cache.value;
+                }
+                cache = _compute(this, getter, propertyName);
+                if(! cache.deps ) return cache.value;
+
+                if(! _hasOwn.call(this, '$computedCache') ){
+                    if(! _isFrozen(this) ) _define(this, '$computedCache', {value: clone.Dict()});
+                    else return cache.value;
+                }
+                return (this.$computedCache[propertyName] = cache).value;
+            }
+        };
+        descriptor.get.$computed = getter;// marks computed property accessor
+        _define(obj, propertyName, descriptor);
+    };
+
     /** Switch clone method. Call without parameters to return current method. */
     //TODO: add onDone callback.
     clone.by = function(/** (function|'auto'|'proto'|'create'|'constructor')= */method){
@@ -342,16 +1586,296 @@ function defineModule(){
             }else{
                 throw new TypeError("Unknown clone method — "+ method);
             }
-        }else{
-            
-            for(var methodName in methods){
-                if( _clone === methods[methodName] ){
-                    return methodName;
+        }else{
+            
+            for(var methodName in methods){
+                if( _clone === methods[methodName] ){
+                    return methodName;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Creates independent copy of the object: own state is copied recursively, but every copy
+     * has the same prototype as its original, so behaviors (and `$defaults`) are shared.
+     * Cyclic references, Arrays, Dates, RegExps and {@link clone.Dict} objects are supported.
+     * Functions and un-enumerable properties are copied by reference. Lazy initialization
+     * accessors are copied without calling, unless `options.includeInits` passed: in this case
+     * pending `$inits` of the original (own and inherited) are initialized, and its values are copied.
+     * Copy of {@link clone.observable$} instance gets own values of observed properties, fresh `$observers`
+     * and no `$computedCache`, copy of {@link clone.events$} instance — fresh `$listeners`:
+     * listeners and cached computed values of the original are not shared.
+     * @returns {*} */
+    clone.deep = function(/** * */obj, /** {includeInits:boolean}= */options){
+        return _deepCopy(obj, options || {}, [], []);
+    };
+
+    /**
+     * Materializes the state of the object into the new plain object: own and inherited enumerable
+     * properties (except functions — behavior) of the prototype chain are copied as own ones.
+     * Useful for debugging and passing the object through JSON, postMessage etc.
+     * Nested objects are not flattened.
+     * @param obj
+     * @param options `upTo` — prototype, on which walking stops (it and its prototypes are skipped),
+     *                for example `clone.$`;  
+     *                `includeInits` — call pending `$inits` initializers (else they are skipped).
+     * @returns {ObjLiteral} */
+    clone.flatten = function(/** !Object */obj, /** {upTo:Object, includeInits:boolean}= */options){
+        var upTo = options && options.upTo || null,
+            flat = {}, found = clone.Dict();
+        if( options && options.includeInits ){
+            _initPending(obj, upTo);
+        }
+        for(var proto = obj; proto && proto !== upTo; proto = _getProto(proto)){
+            for(var key in proto) if( _hasOwn.call(proto, key) && !(key in found) ){
+                found[key] = true;
+                var value = obj[key];// getters should be called in obj context
+                if( typeof value !== 'function' ){
+                    flat[key] = value;
+                }
+            }
+        }
+        return flat;
+    };
+
+    /**
+     * Compares the state of objects (prototypes are not compared). Methods and not yet initialized
+     * `$inits` of one of objects are ignored.
+     * @param a
+     * @param b
+     * @param options `deep` — compare nested objects, Arrays and Dates by its state (else by reference);  
+     *                `includeInherited` — compare inherited state too (see {@link clone.flatten}).
+     * @returns {boolean} */
+    clone.equals = function(/** * */a, /** * */b, /** {deep:boolean, includeInherited:boolean}= */options){
+        options = {deep: !!(options && options.deep), includeInherited: !!(options && options.includeInherited)};
+        return _equals(a, b, options, []);
+    };
+
+    /**
+     * Returns the list of changes, that transforms the state of object `a` to the state of `b`:
+     * `{op: 'add', path: 'a.b', value: *}`, `{op: 'remove', path: 'a.b', oldValue: *}`
+     * or `{op: 'change', path: 'a.b', oldValue: *, value: *}`.
+     * Nested objects are compared recursively (unless `deep: false` passed), Arrays and Dates — as values.
+     * Not yet initialized `$inits` are ignored.  
+     * If `b` is omitted, the object `a` is compared with its prototype (inherited state included):
+     * `clone.diff(obj)` returns changes, made by the clone.
+     * @see clone.patch
+     * @returns {Array.<{op:string, path:string, value:*, oldValue:*}>} */
+    clone.diff = function(/** !Object */a, /** !Object= */b, /** {deep:boolean, includeInherited:boolean}= */options){
+        options = {
+            deep: !(options && options.deep === false),
+            includeInherited: !!(options && options.includeInherited || b === undefined)
+        };
+        if( b === undefined ){
+            b = a;
+            a = _getProto(a);
+        }
+        return _diff(a, b, options, [], [], []);
+    };
+
+    /**
+     * Applies the changes (see {@link clone.diff}) to the object by {@link clone.$#$set}, so its `$types`
+     * are checked. Nested objects are not modified: they are replaced by layered clones (see {@link clone.$#$update}).
+     * @throws {TypeError} If the property of frozen object should be removed.
+     * @returns {Object} The object, or its modified copy, if the object is frozen. */
+    clone.patch = function(/** !Object */obj, /** Array.<{op:string, path:(string|Array), value:*}> */changes){
+        var $set = typeof obj.$set === 'function' ? obj.$set : clone.$.$set;
+        for(var i=0, ln=changes.length; i<ln; i++){
+            var change = changes[i],
+                path = typeof change.path === 'string' ? change.path.split('.') : change.path,
+                key = path[0], value = change.value;
+
+            if( change.op === 'remove' ){
+                if( path.length === 1 ){
+                    if( _isFrozen(obj) ){
+                        throw new TypeError("clone.patch: can't remove "+ key +" of frozen object");
+                    }
+                    delete obj[key];
+                    continue;
+                }
+                var parentPath = path.slice(0, -1), removedKey = path[path.length - 1];
+                value = parentPath.length === 1
+                    ? _without(obj[key], removedKey)
+                    : _updateIn(obj[key], parentPath, 1, function(parent){ return _without(parent, removedKey) });
+            }else if( path.length > 1 ){
+                value = _updateIn(obj[key], path, 1, function(){ return change.value });
+            }
+
+            obj = $set.call(obj, key, value);
+        }
+        return obj;
+    };
+
+    /**
+     * Creates the protocol (interface) — description of members, which object should have.
+     * Behavior can declare implemented protocols by {@link clone.behavior$#$implements}.
+     * @example
+     *     var comparable = clone.protocol({name: 'Comparable', methods: ['compareTo']});
+     *     var money$ = clone.extend({$implements: [comparable], compareTo: function(other){...}});
+     *     clone.conforms(clone(money$), comparable);// true
+     * @returns {clone.protocol} */
+    clone.protocol = function(/** {name:string, methods:Array.<string>=, properties:Array.<string>=} */descriptor){
+        return {
+            name:       descriptor.name || 'protocol',
+            methods:    [].concat(descriptor.methods    || []),
+            properties: [].concat(descriptor.properties || [])
+        };
+    };
+
+    /**
+     * Checks, that the object has all methods and properties of the protocol (duck typing).
+     * Alternative to `isPrototypeOf`: object can conform to the protocol without inheritance.
+     * @returns {boolean} */
+    clone.conforms = function(/** * */obj, /** !clone.protocol */protocol){
+        return obj !== null && obj !== undefined && _missingMembers(Object(obj), protocol).length === 0;
+    };
+
+    /**
+     * Serializes the value to JSON, preserving prototypes of objects: every object is saved with the name
+     * of its nearest prototype, found in `registry` (`{name: proto}`, {@link clone.registry} by default),
+     * and its state up to the prototype
+     * (see {@link clone.flatten}). Objects of not registered prototypes (and of `clone.$`) are saved as
+     * instances of `clone.$` (or plain objects). {@link clone.Dict}, Arrays, Dates and cyclic (or repeated)
+     * references are supported.  
+     * Keys `$proto`, `$id`, `$ref`, `$date`, `$array` are reserved by serialization format.
+     * @see clone.parse
+     * @returns {string} */
+    clone.stringify = function(/** * */value, /** Object.<string,Object>= */registry, /** (number|string)= */space){
+        var refs = {seen: [], shared: []};
+        _findSharedRefs(value, refs);
+        return JSON.stringify( _encode(value, registry || _registry, refs.shared, []), null, space );
+    };
+
+    /**
+     * Restores the value, serialized by {@link clone.stringify}: objects are created by {@link clone}
+     * function from prototypes of `registry` (`{name: proto}`, {@link clone.registry} by default),
+     * so its `$types` and `$init` hooks are applied.
+     * Cyclic references to not yet created objects are assigned after creation of all objects,
+     * and only then the hooks are called (and `$frozen` objects are frozen), so they see the complete state.
+     * @throws {TypeError} If the prototype name is not registered.
+     * @returns {*} */
+    clone.parse = function(/** string */json, /** Object.<string,Object>= */registry){
+        var context = {registry: registry || _registry, byId: [], states: [], objects: [], fixups: [], created: []};
+        var value = _decode(JSON.parse(json), context);
+
+        for(var i=0, ln=context.fixups.length; i<ln; i++){
+            var fixup = context.fixups[i], holder = fixup.holder, target = context.byId[fixup.id];
+            _assign(holder, fixup.key, target);// the state is passed to the hooks
+            for(var j=0, sz=context.states.length; j<sz; j++){
+                if( context.states[j] === holder ){
+                    if( context.objects[j] !== holder ) _assign(context.objects[j], fixup.key, target);
+                    break;
+                }
+            }
+        }
+        for(i=0, ln=context.created.length; i<ln; i++){
+            var created = context.created[i], proto = created.proto, initialState = undefined;
+            if( proto.$types ){
+                _checkState(proto.$types, created.state);
+            }
+            if( typeof proto.$init === 'function' ){
+                initialState = {};
+                for(var key in created.state) if( _hasOwn.call(created.state, key) ){
+                    initialState[key] = created.state[key];
                 }
             }
+            _initialize(proto, created.obj, initialState);
         }
-    }
-    
+        return value;
+    };
+
+    /**
+     * Registers the prototype by the name, which may be namespaced by dots: `'app.models.User'`.
+     * Behaviors with `$name` property are registered by {@link clone.extend} automatically.
+     * @throws {TypeError} If the name is invalid or already registered for another prototype.
+     * @returns {Object} The prototype. */
+    clone.register = function(/** string */name, /** !Object */proto){
+        if( typeof name !== 'string' || !_validName.test(name) ){
+            throw new TypeError("clone.register: invalid name "+ name);
+        }
+        if( name in _registry && _registry[name] !== proto ){
+            throw new TypeError("clone.register: "+ name +" is already registered");
+        }
+        return _registry[name] = proto;
+    };
+
+    /**
+     * Removes the prototype from the registry.
+     * @returns {boolean} `false`, if the name was not registered. */
+    clone.unregister = function(/** string */name){
+        return name in _registry && delete _registry[name];
+    };
+
+    /**
+     * Returns the prototype, registered by {@link clone.register} (or by `$name` of behavior).
+     * @returns {Object|undefined} */
+    clone.lookup = function(/** string */name){
+        return name in _registry ? _registry[name] : undefined;
+    };
+
+    /**
+     * Returns the registered name of the object or of its nearest named prototype.
+     * @example
+     *     var user$ = clone.extend({$name: 'app.models.User'});
+     *     clone.nameOf( clone(user$) );// 'app.models.User'
+     * @returns {string|undefined} */
+    clone.nameOf = function(/** !Object */obj){
+        for(var proto = obj; proto; proto = next){
+            if( _hasOwn.call(proto, '$name') && _registry[proto.$name] === proto ){
+                return proto.$name;
+            }
+            var next = _getProto(proto);
+            if( next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        return undefined;
+    };
+
+    /**
+     * Returns readable representation of the object: registered names of its prototypes (see {@link clone.nameOf}),
+     * own state, inherited state (marked as `(inherited)`) and not yet initialized lazy properties
+     * (`[lazy]`, `[async]`, `[computed]`, they are not triggered). Methods are skipped.  
+     * In Node.js it's used by `util.inspect` and `console.log` for clones and behaviors.
+     * @example
+     *     clone.inspect( clone(user$, {name: 'John'}) );// "app.models.User { name: 'John', data: [lazy] }"
+     * @param obj
+     * @param options `depth` — how many levels of nested objects are rendered (2 by default).
+     * @returns {string} */
+    clone.inspect = function(/** * */obj, /** {depth:number}= */options){
+        var depth = options && 'depth' in options ? options.depth : 2;
+        return _inspectValue(obj, depth === null ? Infinity : depth, {depth: depth}, undefined, []);
+    };
+
+    /**
+     * Returns prototypes of the object: from the nearest one to `Object.prototype` (inclusive).
+     * Behaviors are followed by its `$defaults` (if any), parent behaviors — by theirs ones, and so on up to `clone.$`.
+     * @example
+     *     var duck$ = clone.extend({$defaults: {name: ''}, quack: function(){}});
+     *     clone.chain( clone(duck$) );// [duck$, duck$.$defaults, clone.$, Object.prototype]
+     * @returns {Array} */
+    clone.chain = function(/** !Object */obj){
+        var protos = [];
+        for(var proto = _getProto(obj); proto; proto = next){
+            protos.push(proto);
+            var next = _getProto(proto);
+            if( proto === Object.prototype || next === proto/* _getPrototypeOf_es3 */ ) break;
+        }
+        return protos;
+    };
+
+    /**
+     * Returns the object (`obj` itself or one of its prototypes), that owns the property.
+     * @returns {Object|null} */
+    clone.whereDefined = function(/** !Object */obj, /** string */propertyName){
+        if( _hasOwn.call(obj, propertyName) ){
+            return obj;
+        }
+        for(var protos = clone.chain(obj), i=0, ln=protos.length; i<ln; i++){
+            if( _hasOwn.call(protos[i], propertyName) ) return protos[i];
+        }
+        return null;
+    };
+
 //    /** Faster than {@link clone.$apply}. */
 //    clone.$call = function(/** Object */obj, /** string */method,/** (...)= */arg1, arg2, arg3, arg4, arg5, arg6, arg7){
 //        return this.prototype[method].call(obj, arg1, arg2, arg3, arg4, arg5, arg6, arg7);
@@ -413,23 +1937,34 @@ function defineModule(){
          * have only one argument – {@link ObjLiteral} state.
          * @returns {clone.$} */
         $clone: function(/** ObjLiteral={} */state){
-            return _clone(this, state || {});
+            return _instantiate(this, state || {}, _clone);
         },
         
         /** 
-         * If called without arguments – returns state {@link clone.Hash}.
+         * If called without arguments – returns state {@link clone.Hash}: all own properties (except service ones,
+         * like `$listeners` of {@link clone.events$} or `$observers` of {@link clone.observable$}),
+         * or, with options (see {@link clone.$#$each}), enumerable state including inherited one.
+         * @example
+         *     obj.$get({inherited: true, includeInits: 'trigger'});
          * @nosideeffects
          * @returns {clone.Hash|*} */
-        $get: function(/** string|Array= */key){
+        $get: function(/** string|Array|Object= */key, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            if( key !== null && typeof key === 'object' && !(key instanceof Array) ){
+                options = key;
+                key = undefined;
+            }//</arguments>
             var propertyNames = typeof key === 'object' && key instanceof Array && key;
             if(key === undefined || propertyNames){
                 var state = clone.Dict();
                 
                 if(!propertyNames){
-                    propertyNames = Object.getOwnPropertyNames(this);
+                    propertyNames = options ? _stateKeys(this, options) : Object.getOwnPropertyNames(this);
+                    var skipService = !options;
                 }
                 for(var i=0, ln=propertyNames.length; i<ln; i++){
-                    var name = propertyNames[i], value = this[name];
+                    var name = propertyNames[i];
+                    if( skipService && name in _instanceServiceKeys ) continue;
+                    var value = options ? _stateValue(this, name, options) : this[name];
                     state[name] = (typeof value === 'function') ? value.valueOf() : value;
                 }
                 
@@ -443,38 +1978,395 @@ function defineModule(){
             }
         },
         
-        /** */
-        $set: function(/** Object **/state_or_key, /** *= */value){
-            if(value === undefined){
-                for(var  key in state_or_key) if(_hasOwn.call(this, key)){
-                    this[key] = state_or_key[key];
+        /** 
+         * Sets the property (`$set(key, value, options)`) or several ones (`$set(state, options)`).
+         * Values are checked by {@link clone.behavior$#$types} (if defined).  
+         * If this object is frozen (see {@link clone.behavior$#$frozen}), it will not be modified:
+         * the modified frozen clone of it will be returned instead (copy-on-write).  
+         * Keys of `state`, which are not own properties of this object, are ignored. Options:  
+         * `allowInherited` — allow inherited properties (except methods) and ones, declared in `$types`;  
+         * `strict` — throw on unknown keys instead of ignoring (also for `$set(key, value)`);  
+         * `returnChanges` — return the summary: `{object, changes, ignored}`, where `changes` are
+         * in {@link clone.diff} format, `ignored` — unknown keys.
+         * @example
+         *     user.$set({name: 'John', nmae: 'typo'}, {strict: true});// TypeError: $set: unknown property nmae
+         * @throws {TypeError}
+         * @returns {clone.$|{object:clone.$, changes:Array, ignored:Array.<string>}} this or modified copy */
+        $set: function(/** Object|string **/state_or_key, /** *= */value,
+                       /** {strict:boolean, allowInherited:boolean, returnChanges:boolean}= */options
+        ){
+            var $types = this.$types, state = clone.Dict(), ignored = [];
+            if( state_or_key !== null && typeof state_or_key === 'object' ){
+                options = value;
+                var allowInherited = options && options.allowInherited;
+                for(var  key in state_or_key){
+                    if( _isSettable(this, key, allowInherited) ){
+                        state[key] = state_or_key[key];
+                    }else if( options && options.strict ){
+                        throw new TypeError("$set: unknown property "+ key);
+                    }else{
+                        ignored.push(key);
+                    }
+                }
+            }else{
+                if( options && options.strict && !_isSettable(this, state_or_key, options.allowInherited) ){
+                    throw new TypeError("$set: unknown property "+ state_or_key);
+                }
+                if( state_or_key === '__proto__' ){
+                    ignored.push(state_or_key);
+                }else{
+                    state[state_or_key] = value;
+                }
+            }
+            if( $types ){
+                _checkState($types, state);
+            }
+            if(! _isExtensible(this) && !_isFrozen(this) ){
+                for(key in state) if(! _hasOwn.call(this, key) ){
+                    throw new TypeError("$set: can't add property "+ key +" to sealed object");
+                }
+            }
+            if( options && options.returnChanges ){
+                var changes = [];
+                for(key in state){
+                    if(! _hasOwn.call(this, key) ){
+                        changes.push({op: 'add', path: key, value: state[key]});
+                    }else if( this[key] !== state[key] ){
+                        changes.push({op: 'change', path: key, oldValue: this[key], value: state[key]});
+                    }
                 }
+            }
+            var obj = this;
+            if( _isFrozen(this) ){
+                var literal = {};// clone methods expect object literal (`__proto__` key is rejected above)
+                for(key in state) literal[key] = state[key];
+                obj = _layer(this, literal);
             }else{
-                this[state_or_key] = value;
+                for(key in state) _assign(this, key, state[key]);
+            }
+            return changes ? {object: obj, changes: changes, ignored: ignored} : obj;
+        },
+
+        /**
+         * Strict version of {@link clone.$#$set}: throws on unknown keys, but allows inherited ones
+         * (options `strict` and `allowInherited` are `true` by default).
+         * @throws {TypeError}
+         * @returns {clone.$|{object:clone.$, changes:Array, ignored:Array.<string>}} this or modified copy */
+        $assign: function(/** !Object */state, /** {strict:boolean, allowInherited:boolean, returnChanges:boolean}= */options){
+            var assignOptions = {strict: true, allowInherited: true};
+            for(var key in options) assignOptions[key] = options[key];
+            return this.$set(state, assignOptions);
+        },
+
+        /**
+         * Restores lazy initializer (see {@link clone.behavior$#$inits}) of the property:
+         * removes its own value, so the initializer will be called again on next read.
+         * Call without arguments to reset all initialized properties of the state (enumerable ones),
+         * so un-enumerable service properties, like `$listeners` of {@link clone.events$}, are kept.
+         * @returns {boolean} True, if some property was reset. */
+        $reset: function(/** string= */propertyName){
+            if( propertyName === undefined ){
+                var isReset = false;
+                for(var names = _getOwnNames(this), i=0, ln=names.length; i<ln; i++){
+                    if( _isEnumerable.call(this, names[i]) ) isReset = this.$reset(names[i]) || isReset;
+                }
+                return isReset;
+            }
+            var proto = _getProto(this), owner = proto && clone.whereDefined(proto, propertyName);
+            if( _hasOwn.call(this, propertyName) && owner && _isLazy(owner, propertyName) ){
+                return delete this[propertyName];
+            }
+            return false;
+        },
+
+        /**
+         * Drops cached value of computed property (see {@link clone.behavior$#$computed}),
+         * or resets lazy initialized one (see {@link clone.$#$reset}).
+         * Call without arguments to invalidate all properties.
+         * @returns {clone.$} this */
+        $invalidate: function(/** string= */propertyName){
+            if( _hasOwn.call(this, '$computedCache') ){
+                for(var key in this.$computedCache) if( propertyName === undefined || key === propertyName ){
+                    delete this.$computedCache[key];
+                }
+            }
+            this.$reset(propertyName);
+            return this;
+        },
+
+        /**
+         * Returns false, if the lazy property (see {@link clone.behavior$#$inits}) isn't initialized yet,
+         * or the computed one (see {@link clone.behavior$#$computed}) isn't cached.
+         * For other existing properties returns true.
+         * @returns {boolean} */
+        $isInitialized: function(/** string */propertyName){
+            var owner = clone.whereDefined(this, propertyName);
+            if( !owner || _isLazy(owner, propertyName) ){
+                return false;
+            }
+            if( _accessorMark(owner, propertyName, '$computed') ){
+                return _hasOwn.call(this, '$computedCache') && propertyName in this.$computedCache;
+            }
+            if( owner === this && !_isEnumerable.call(this, propertyName) ){// may be loading by async initializer
+                var proto = _getProto(this), protoOwner = proto && clone.whereDefined(proto, propertyName);
+                return !( protoOwner && _accessorMark(protoOwner, propertyName, '$asyncInitializer') );
+            }
+            return true;
+        },
+
+        /**
+         * Returns `'[object Name]'`, where Name is registered name of the nearest named prototype
+         * (see {@link clone.nameOf}), or `'Object'`.
+         * Not defined, if clone behavior is injected into `Object.prototype` (see `injectCloneBehaviorInto` option).
+         * @returns {string} */
+        toString: function(){
+            return '[object '+ (clone.nameOf(this) || 'Object') +']';
+        },
+
+        /**
+         * Object-oriented notation of {@link clone.chain}.
+         * @returns {Array} */
+        $protos: function(){
+            return clone.chain(this);
+        },
+
+        /**
+         * Object-oriented notation of {@link clone.whereDefined}.
+         * @returns {Object|null} */
+        $owner: function(/** string */propertyName){
+            return clone.whereDefined(this, propertyName);
+        },
+
+        /**
+         * Persistent update: returns the clone of this object with given own properties,
+         * this object is not modified (see {@link clone.$#$set}).
+         * When the number of such layered clones exceeds `withDepthLimit` option,
+         * they are collapsed into one clone of the nearest not layered object.
+         * @throws {TypeError} If the values doesn't match {@link clone.behavior$#$types}.
+         * @returns {clone.$} */
+        $with: function(/** !ObjLiteral */patch){
+            var state = {};
+            for(var key in patch) state[key] = patch[key];
+            if( this.$types ){
+                _checkState(this.$types, state);
+            }
+            return _layer(this, state);
+        },
+
+        /**
+         * Persistent update of nested property. Objects along the path are replaced by
+         * layered clones (see {@link clone.$#$with}), arrays — by copies, so this object is not modified.
+         * Missing objects are created.
+         * @example
+         *     var newConfig = config.$update('db.connection.port', function(port){ return port + 1 });
+         * @returns {clone.$} */
+        $update: function(/** string|Array */path, /** function(*):* */updater){
+            if( typeof path === 'string' ){
+                path = path.split('.');
+            }
+            return _updateIn(this, path, 0, updater);
+        },
+
+        /**
+         * Returns the value of nested property, or `undefined` if some object along the path is missing.
+         * @example
+         *     config.$getIn('db.connection.port');
+         * @returns {*} */
+        $getIn: function(/** string|Array */path){
+            if( typeof path === 'string' ){
+                path = path.split('.');
+            }
+            for(var value = this, i=0, ln=path.length; i<ln; i++){
+                if( value === null || value === undefined ) return undefined;
+                value = value[ path[i] ];
             }
+            return value;
+        },
+
+        /**
+         * Sets the value of nested property. Inherited objects along the path are not modified (copy-on-write):
+         * they are cloned (arrays — copied) into its owners before writing, so prototypes (and other clones)
+         * are not affected. Missing objects are created. Values are checked by `$types` of objects along the path.
+         * Frozen object is not modified (see {@link clone.$#$update}).
+         * @example
+         *     config.$setIn('db.connection.port', 5433);// config.$inherits.db is not modified
+         * @throws {TypeError}
+         * @returns {clone.$} this or modified copy */
+        $setIn: function(/** string|Array */path, /** * */value){
+            if( typeof path === 'string' ){
+                path = path.split('.');
+            }
+            if( _isFrozen(this) ){
+                return _updateIn(this, path, 0, function(){ return value });
+            }
+            var writes = [];// [target, key, value, ...]
+            for(var target = this, i=0, last = path.length - 1; i<last; i++){
+                var key = path[i], nested = target[key];
+                if( nested === null || typeof nested !== 'object' ){
+                    nested = {};
+                }else if( _hasOwn.call(target, key) && !_isFrozen(nested) ){
+                    target = nested;
+                    continue;
+                }else{
+                    nested = nested instanceof Array ? nested.slice() : clone(nested);
+                }
+                writes.push(target, key, nested);
+                target = nested;
+            }
+            writes.push(target, path[last], value);
+
+            // all values are checked before the first write, so rejected value doesn't leave copies:
+            for(i=0; i<writes.length; i+=3) _checkProperty(writes[i], writes[i+1], writes[i+2]);
+            for(i=0; i<writes.length; i+=3) _assign(writes[i], writes[i+1], writes[i+2]);
+            return this;
         },
         
         /** */
-        $each: function(/** function(*,string) */iterator, /** Object=this */context){
+        $each: function(/** function(*,string) */iterator, /** Object=this */context,
+                        /** {inherited:boolean, upTo:Object, includeInits:string}= */options
+        ){
             if( context === undefined){
                 context = this;
             }//</arguments>
-            for(var key in this) if(_hasOwn.call(this, key)){
-                iterator.call(context, this[key], key);
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                iterator.call(context, _stateValue(this, keys[i], options), keys[i]);
             }
         },
         
         
         /** */
-        $map: function(/** function(*,string):* */iterator, /** Object=this */context, /** Object=this */proto){
+        $map: function(/** function(*,string):* */iterator, /** Object=this */context, /** Object=this */proto,
+                       /** {inherited:boolean, upTo:Object, includeInits:string}= */options
+        ){
             if( context === undefined){
                 context = this;
             }//</arguments>
             var mappedObj = clone(proto || this);
-            for(var key in this) if( _hasOwn.call(this, key) ){
-                mappedObj[key] = iterator.call(context, this[key], key);
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                mappedObj[ keys[i] ] = iterator.call(context, _stateValue(this, keys[i], options), keys[i]);
             }
             return mappedObj;
+        },
+
+        // Collection methods (and $each, $map, $get with options) iterate own enumerable properties. Pass `{inherited: true}` option
+        // to include inherited state (except methods) up to `clone.$`, or `{upTo: proto}` — up to given prototype.
+        // Not yet initialized $inits are skipped, unless `{includeInits: 'trigger'}` (initialize them)
+        // or `{includeInits: 'descriptor'}` (use its accessor descriptors as values) passed.
+
+        /**
+         * Returns the clone of the same prototype with properties, that pass the test.
+         * Note: inherited properties are not hidden by the filter, unless `inherited` (`upTo`) option is passed:
+         * then the clone of `clone.$` (`upTo` prototype) with the flattened state is returned.
+         * @returns {clone.$} */
+        $filter: function(/** function(*,string):boolean */iterator, /** Object=this */context, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            if( context === undefined){
+                context = this;
+            }//</arguments>
+            var state = {};
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                var key = keys[i], value = _stateValue(this, key, options);
+                if( iterator.call(context, value, key) ) state[key] = value;
+            }
+            var base = _stateBase(this, options);
+            return base ? clone(base, state) : clone.Dict(state);
+        },
+
+        /**
+         * Reduces values of properties to single value. If `initialValue` is omitted (or undefined),
+         * the first value is used, so options can be passed without it: `$reduce(fn, undefined, {inherited: true})`.
+         * @returns {*} */
+        $reduce: function(/** function(*,*,string):* */reducer, /** *= */initialValue, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            var keys = _stateKeys(this, options), i = 0, result = initialValue;
+            if( initialValue === undefined ){
+                if(! keys.length ){
+                    throw new TypeError("$reduce: no properties and no initial value");
+                }
+                result = _stateValue(this, keys[i++], options);
+            }
+            for(var ln=keys.length; i<ln; i++){
+                result = reducer(result, _stateValue(this, keys[i], options), keys[i]);
+            }
+            return result;
+        },
+
+        /** @returns {boolean} True, if some property passes the test. */
+        $some: function(/** function(*,string):boolean */iterator, /** Object=this */context, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            if( context === undefined){
+                context = this;
+            }//</arguments>
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                if( iterator.call(context, _stateValue(this, keys[i], options), keys[i]) ) return true;
+            }
+            return false;
+        },
+
+        /** @returns {boolean} True, if all properties pass the test. */
+        $every: function(/** function(*,string):boolean */iterator, /** Object=this */context, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            if( context === undefined){
+                context = this;
+            }//</arguments>
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                if(! iterator.call(context, _stateValue(this, keys[i], options), keys[i]) ) return false;
+            }
+            return true;
+        },
+
+        /** @returns {*} The value of the first property, that passes the test, or `undefined`. */
+        $find: function(/** function(*,string):boolean */iterator, /** Object=this */context, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            if( context === undefined){
+                context = this;
+            }//</arguments>
+            for(var keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                var value = _stateValue(this, keys[i], options);
+                if( iterator.call(context, value, keys[i]) ) return value;
+            }
+            return undefined;
+        },
+
+        /** @returns {Array.<string>} */
+        $keys: function(/** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            return _stateKeys(this, options);
+        },
+
+        /** @returns {Array} */
+        $values: function(/** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            for(var values = [], keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                values.push( _stateValue(this, keys[i], options) );
+            }
+            return values;
+        },
+
+        /** @returns {Array.<Array>} `[key, value]` pairs. */
+        $entries: function(/** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            for(var entries = [], keys = _stateKeys(this, options), i=0, ln=keys.length; i<ln; i++){
+                entries.push([ keys[i], _stateValue(this, keys[i], options) ]);
+            }
+            return entries;
+        },
+
+        /** @returns {number} Number of properties. */
+        $size: function(/** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            return _stateKeys(this, options).length;
+        },
+
+        /**
+         * Returns the clone of the same prototype with given properties only (if they are present).
+         * With `inherited` (`upTo`) option it's built on `clone.$` (`upTo` prototype), see {@link clone.$#$filter}.
+         * @returns {clone.$} */
+        $pick: function(/** Array.<string> */keys, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            var picked = clone.Dict();
+            for(var i=0, ln=keys.length; i<ln; i++) picked[ keys[i] ] = true;
+            return this.$filter(function(value, key){ return key in picked }, this, options);
+        },
+
+        /**
+         * Returns the clone of the same prototype without given properties.
+         * Note: inherited properties are not hidden, unless `inherited` (`upTo`) option is passed (see {@link clone.$#$filter}).
+         * @returns {clone.$} */
+        $omit: function(/** Array.<string> */keys, /** {inherited:boolean, upTo:Object, includeInits:string}= */options){
+            var omitted = clone.Dict();
+            for(var i=0, ln=keys.length; i<ln; i++) omitted[ keys[i] ] = true;
+            return this.$filter(function(value, key){ return !(key in omitted) }, this, options);
         }
         
         /**#@- clone.$# */
@@ -493,6 +2385,47 @@ function defineModule(){
      *           The parent behavior. Superclass.
      * @property {object.<string,function:*>} $inits  
      *           List of lazy initialization fields.
+     * @property {Array} $mixins  
+     *           List of objects (behaviors or descriptors), which own methods, `$defaults` and `$inits`
+     *           are mixed into this behavior. Conflicting members should be resolved by
+     *           `{$mixin: obj, $exclude: ['name'], $alias: {name: 'newName'}}` item.
+     * @property {function(ObjLiteral)} $init  
+     *           Initialization hook. It's called once, when instance is created by {@link clone}, {@link clone.new}
+     *           or {@link clone.$#$clone}, after the state is applied. Receives copy of the state literal.
+     *           Hooks of `$inherits` chain are called first, then hooks of `$mixins`, then own one.
+     * @property {object.<string,function:Thenable>} $asyncInits  
+     *           List of asynchronous lazy initialization fields (see {@link clone.defineAsyncInitPropertyOf}).
+     *           Can't be combined with `$frozen` or `$sealed` (own or inherited ones).
+     * @property {object.<string,function:*>} $computed  
+     *           List of computed properties (see {@link clone.defineComputedPropertyOf}).
+     * @property {object.<string,*>} $types  
+     *           Types of the properties, which are checked on instance creation and by {@link clone.$#$set}.
+     *           Type may be: name of primitive type (`'string'`, `'number'`, `'object'`, `'*'` etc),
+     *           nullable one (`'?string'`), prototype (value should be its clone), array of type (`['string']`)
+     *           or predicate `function(value):boolean` (its `$type` or `name` property used in error messages).
+     *           Inherited types are extended by own ones.
+     * @property {boolean} $frozen  
+     *           Freeze the behavior, its `$defaults` and created instances (pending `$inits` of instances will
+     *           be initialized before freezing). {@link clone.$#$set} of frozen instance returns modified copy.
+     *           Inherited by child behaviors. All behaviors (but not its `$defaults`) can be frozen
+     *           by `freezeBehaviors` option.
+     *           Note: properties, inherited from frozen object, are read-only for assignment operator,
+     *           use {@link clone.$#$set} to override it.
+     * @property {boolean} $sealed  
+     *           Freeze the behavior, but seal created instances: its properties can be modified,
+     *           but not added or deleted. Inherited state (`$defaults` etc) is copied to instances before sealing.
+     * @property {Array.<clone.protocol>} $implements  
+     *           List of protocols, that the behavior implements. Its conformance is checked by {@link clone.extend}
+     *           (missing members cause TypeError). Includes inherited protocols.
+     * @property {string} $name  
+     *           Registered name of the behavior, may be namespaced: `'app.models.User'`
+     *           (see {@link clone.register}, {@link clone.lookup}). Child behaviors should declare own names.
+     * @property {function(...*):*} $super  
+     *           Calls the inherited version of currently executing method: `this.$super(arg1, arg2)`.
+     *           Defined only if some of behavior methods uses it.  
+     *           The current method is tracked while it runs synchronously (nested calls of other methods
+     *           are supported), so `$super` can't be called after `await`, in timers or promise callbacks:
+     *           call the inherited method explicitly there (`parent$.method.call(this)`).
      *           
      * @borrows  private._Behavior as #constructor
      */
@@ -523,6 +2456,160 @@ function defineModule(){
 //        }
     };
 
+    /**
+     * @name    clone.events$
+     * @extends clone.behavior$
+     * @class
+     * Event emitter behavior. It can be inherited (`clone.events$.$extend({...})`) or mixed in
+     * (`$mixins: [clone.events$]`). Listeners storage is created lazily for every instance, so
+     * listeners are never shared with the prototype.  
+     * Event name may have namespace: `'change.myWidget'`, it's used to remove listeners: `off('.myWidget')`.
+     * Wildcard (`'*'`) listeners are called on every event, with event name as first argument.
+     * Errors, thrown by listeners, doesn't prevent calling other listeners: they are emitted as `'error'`
+     * event, or rethrown after all listeners are called, if there are no `'error'` listeners.
+     * @property {clone.Dict} $listeners Listeners of events (lazy initialized, un-enumerable).
+     */
+    /**#nocode+*/
+    var events$Descriptor =/**#nocode-*/ {
+        /**#@+ @memberOf clone.events$# */
+
+        $inits: {
+            $listeners: function(name, initedDescriptor){
+                initedDescriptor.enumerable = false;// it's not a state
+                return clone.Dict();
+            }
+        },
+
+        /** @returns {clone.events$} this */
+        on: function(/** string */event, /** function(...*) */listener, /** boolean= */once){
+            var name = _eventName(event),
+                listeners = this.$listeners[name] || (this.$listeners[name] = []);
+            listeners.push({listener: listener, namespace: _eventNamespace(event), once: !!once});
+            return this;
+        },
+
+        /** Adds listener, which will be removed after first call.
+         *  @returns {clone.events$} this */
+        once: function(/** string */event, /** function(...*) */listener){
+            return this.on(event, listener, true);
+        },
+
+        /**
+         * Removes listeners. Call without arguments to remove all listeners.
+         * @example
+         *     obj.off('change', listener);// removes listener of change event
+         *     obj.off('change');          // removes all listeners of change event
+         *     obj.off('.myWidget');       // removes all listeners of the namespace
+         * @returns {clone.events$} this */
+        off: function(/** string= */event, /** function(...*)= */listener){
+            var name = event && _eventName(event), namespace = event && _eventNamespace(event);
+            for(var key in this.$listeners) if(! name || name === key ){
+                var listeners = this.$listeners[key];
+                for(var i=listeners.length-1; i>=0; i--){
+                    if( (!namespace || namespace === listeners[i].namespace)
+                        && (!listener || listener === listeners[i].listener)
+                    ){
+                        listeners.splice(i, 1);
+                    }
+                }
+            }
+            return this;
+        },
+
+        /**
+         * Calls listeners of the event (and wildcard listeners) with given arguments.
+         * @returns {boolean} True, if there were listeners. */
+        emit: function(/** string */event, /** ...* */){
+            var args = Array.prototype.slice.call(arguments, 1), errors = [],
+                called = _callEventListeners(this, event, args, errors);
+            if( event !== '*' ){
+                called = _callEventListeners(this, '*', [event].concat(args), errors) || called;
+            }
+            for(var i=0, ln=errors.length; i<ln; i++){
+                if( event !== 'error' && this.$listeners.error && this.$listeners.error.length ){
+                    this.emit('error', errors[i], event);
+                }else{
+                    throw errors[i];
+                }
+            }
+            return called;
+        }
+
+        /**#@- clone.events$# */
+    };
+
+    /**
+     * @name    clone.observable$
+     * @extends clone.behavior$
+     * @class
+     * Behavior of objects, that notify listeners about changes of its properties.  
+     * All not function enumerable properties of created instance (own and inherited, e.g. `$defaults`) become observed:
+     * it's replaced by accessors (see {@link clone.defineProperty}), so the changes are detected on assignment
+     * and by {@link clone.$#$set}. Properties, added after creation, are not observed.  
+     * Listeners receive array of change records:
+     * `{object: Object, name: string, oldValue: *, value: *, shadowed: Object=}`,
+     * where `shadowed` is the prototype, which default value was shadowed by this change.
+     * Doesn't work in ES3 engines (IE8-).
+     * @example
+     *     var user$ = clone.observable$.$extend({name: ''}, {});
+     *     var user  = clone(user$);
+     *     user.$observe('name', function(changes){ console.log(changes[0].value) });
+     *     user.name = 'John';// John
+     */
+    /**#nocode+*/
+    var observable$Descriptor =/**#nocode-*/ {
+        /**#@+ @memberOf clone.observable$# */
+
+        /** Replaces observed properties by accessors. */
+        $init: function(){
+            _ownObserved(this);
+            for(var key in this){
+                var value = this[key];
+                if( typeof value !== 'function' ){
+                    _observeProperty(this, key, value);
+                }
+            }
+        },
+
+        /**
+         * Adds listener of the property changes. Use `'*'` to listen all properties.
+         * @returns {clone.observable$} this */
+        $observe: function(/** string */name, /** function(Array) */listener){
+            _ownObserved(this);
+            (this.$observers[name] || (this.$observers[name] = [])).push(listener);
+            return this;
+        },
+
+        /** @returns {clone.observable$} this */
+        $unobserve: function(/** string */name, /** function(Array) */listener){
+            var listeners = this.$observers[name] || [];
+            for(var i=listeners.length-1; i>=0; i--){
+                if( listeners[i] === listener ) listeners.splice(i, 1);
+            }
+            return this;
+        },
+
+        /**
+         * Calls the function and notifies listeners about all its changes at once (after call).
+         * @returns {*} Result of the function. */
+        $transaction: function(/** function() */fn){
+            if( this.$changes ){// nested transaction
+                return fn.call(this);
+            }
+            _ownObserved(this);
+            this.$changes = [];
+            try{
+                return fn.call(this);
+            }finally{
+                var changes = this.$changes;
+                this.$changes = null;
+                _notifyObservers(this, changes);
+            }
+        }
+
+        /**#@- clone.observable$# */
+    };
+
     // // // // // // // // // // // // // // // // // // // // // // // // // //
     // private functions:
 
@@ -572,6 +2659,90 @@ function defineModule(){
         return newObj;
     }
 
+    /** @see clone.deep */
+    function _deepCopy(/** * */value, /** !Object */options, /** Array */originals, /** Array */copies){
+        if( value === null || typeof value !== 'object' ){
+            return value;
+        }
+        for(var i=0, ln=originals.length; i<ln; i++){
+            if( originals[i] === value ) return copies[i];
+        }
+
+        if( value instanceof Date ){
+            return new Date( value.getTime() );
+        }else if( value instanceof RegExp ){
+            var copy = new RegExp(value.source, String(value).match(/[a-z]*$/)[0]);
+            copy.lastIndex = value.lastIndex;
+            return copy;
+        }
+        copy = value instanceof Array ? [] : _getProto(value) === null ? clone.Dict() : clone.create( _getProto(value) );
+        originals.push(value);
+        copies.push(copy);
+
+        if( options.includeInits ){
+            _initPending(value);
+        }
+        var names = _getOwnNames(value);
+        for(i=0, ln=names.length; i<ln; i++){
+            var name = names[i];
+            if( name === 'length' && copy instanceof Array || name === '$computedCache' ) continue;
+
+            var descriptor = _getOwnDescriptor(value, name);
+            if( descriptor.enumerable && 'value' in descriptor ){
+                descriptor.value = _deepCopy(descriptor.value, options, originals, copies);
+            }else if( name === '$observers' || name === '$listeners' ){// listeners of the original are not inherited
+                descriptor.value = clone.Dict();
+            }else if( name === '$changes' ){
+                descriptor.value = null;
+            }else if( name === '$observed' ){// values of observed properties (see _observeProperty)
+                descriptor.value = {
+                    values:   _deepCopy(descriptor.value.values, options, originals, copies),
+                    shadowed: clone.Dict.merge(descriptor.value.shadowed)
+                };
+            }
+            _define(copy, name, descriptor);
+        }
+        return copy;
+    }
+
+    /** Calls all pending lazy initializers (see {@link clone.defineInitPropertyOf}) of the object. */
+    function _initPending(/** !Object */obj, /** Object= */upTo){
+        for(var proto = obj; proto && proto !== upTo; proto = _getProto(proto)){
+            var names = _getOwnNames(proto);
+            for(var i=0, ln=names.length; i<ln; i++){
+                if( _accessorMark(proto, names[i], '$initializer') ){
+                    obj[ names[i] ];// <- call initializer
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the mark of own accessor getter (`$initializer` or `$computed`),
+     * see {@link clone.defineInitPropertyOf}, {@link clone.defineComputedPropertyOf}.
+     * @returns {function|undefined} */
+    function _accessorMark(/** !Object */obj, /** string */propertyName, /** string */mark){
+        var descriptor = _getOwnDescriptor(obj, propertyName);
+        return descriptor && descriptor.get && descriptor.get[mark];
+    }
+
+    /** @returns {boolean} True, if the property of the object is (synchronous or asynchronous) lazy initializer. */
+    function _isLazy(/** !Object */obj, /** string */propertyName){
+        return !!( _accessorMark(obj, propertyName, '$initializer') || _accessorMark(obj, propertyName, '$asyncInitializer') );
+    }
+
+    function _getOwnPropertyNames_es3(/** !Object */obj){
+        var names = [];
+        for(var name in obj) if( _hasOwn.call(obj, name) ){
+            names.push(name);
+        }
+        return names;
+    }
+
+    function _getOwnPropertyDescriptor_es3(/** !Object */obj, /** string */propertyName){
+        return {value: obj[propertyName], writable: true, enumerable: true, configurable: true};
+    }
+
     function _setCloneMethodByBench(/** number=33 */msec){
         var methods = [ _cloneByConstructor ];
         if(clone.byObjectCreate) methods.push(_cloneByCreate);
@@ -626,7 +2797,10 @@ function defineModule(){
         
         /**
          * Object literal, that may have properties:
-         * [$inherits](clone.behavior$.html#$inherits), [$defaults](clone.behavior$.html#$defaults), [$inits](clone.behavior$.html#$inits).
+         * [$inherits](clone.behavior$.html#$inherits), [$defaults](clone.behavior$.html#$defaults), [$inits](clone.behavior$.html#$inits),
+         * [$asyncInits](clone.behavior$.html#$asyncInits),
+         * [$mixins](clone.behavior$.html#$mixins), [$init](clone.behavior$.html#$init), [$computed](clone.behavior$.html#$computed), [$types](clone.behavior$.html#$types),
+         * [$implements](clone.behavior$.html#$implements), [$name](clone.behavior$.html#$name).
          * All other properties should be functions (or constants).
          * @name behaviorDescriptor
          * @define {ObjLiteral} */
@@ -654,6 +2828,9 @@ function defineModule(){
      *     injectCloneBehaviorInto: Object.prototype,
      *     setCloneMethodByBench: false,
      *     makeES5compat: false,
+     *     freezeBehaviors: false,
+     *     withDepthLimit: 16,
+     *     guardDefaults: false,
      *     makeGlobal: true
      * };
      * @property {object} injectCloneBehaviorInto  You can make all objects behaves like a clone:
@@ -661,6 +2838,15 @@ function defineModule(){
      * @property {boolean}  setCloneMethodByBench  Run quick (about 100ms) benchmark of clone methods
      *                                             (by `__proto__`, `Object.create`, `constructor`).
      * @property {boolean}          makeES5compat  Make some ECMA Script 5 shims, see {@link Object}.
+     * @property {boolean}        freezeBehaviors  Freeze all behaviors after creation (its `$defaults` are
+     *                                             frozen for `$frozen` ones only, see {@link clone.behavior$#$frozen}).
+     * @property {number=16}   withDepthLimit  Max number of clones, layered by {@link clone.$#$with},
+     *                                             after which they will be collapsed.
+     * @property {boolean|string} guardDefaults  Development mode: protect plain objects and arrays of `$defaults`,
+     *                                             shared by all clones, from in-place modification
+     *                                             (`instance.list.push(x)`): `'report'` (or `true`) — throw
+     *                                             TypeError with the property and behavior name, `'copy'` —
+     *                                             give every clone own copy on first read.
      * @property {boolean=true}        makeGlobal  Make `clone` function global (for nodejs). True by
      *                                             default (if global clone options object defined). 
      */
@@ -677,10 +2863,38 @@ function defineModule(){
     var _clone    = clone.byProto || clone.byObjectCreate || clone.byConstructor;
 
     var _hasOwn   = Object.prototype.hasOwnProperty;
+    var _isEnumerable = Object.prototype.propertyIsEnumerable;
+    // if functions decompilation unsupported, wrap all methods:
+    var _superUsage = /xyz/.test(function(){xyz}) ? /\$super\b/ : /.*/;
+    var _super, _superName;// inherited method and its name, used by _callSuper()
+    // properties of behaviorDescriptor, that are not a methods:
+    var _iteratorKey = typeof Symbol === 'function' && Symbol.iterator;
+    // own un-enumerable properties of instances, which are not its state:
+    var _instanceServiceKeys = clone.Dict({$computedCache:1, $listeners:1, $observers:1, $changes:1, $observed:1});
+    var _serviceKeys = clone.Dict({$inherits:1, $defaults:1, $inits:1, $mixins:1, $init:1, $types:1, $frozen:1, $sealed:1, $implements:1, $computed:1, $asyncInits:1, $name:1});
+    var _registry = clone.Dict();// name => prototype, see clone.register()
+    var _inspectKey = typeof Symbol === 'function' && Symbol['for'] && Symbol['for']('nodejs.util.inspect.custom');
+    var _validName = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+    // sections of behaviorDescriptor, which are merged by $mixins:
+    var _mixedSections = ['$defaults', '$inits', '$asyncInits', '$computed', '$types'];
     var _getProto = 'getPrototypeOf' in Object ? Object.getPrototypeOf : _getPrototypeOf_es3;
     var _freeze   =         'freeze' in Object ? Object.freeze         : function doNothing(){};
+    var _seal     =           'seal' in Object ? Object.seal           : function doNothing(){};
+    var _isFrozen =       'isFrozen' in Object ? Object.isFrozen       : function no(){ return false };
+    var _isExtensible = 'isExtensible' in Object ? Object.isExtensible : function yes(){ return true };
+
+    var _withDepthLimit = setupOptions && setupOptions.withDepthLimit || 16;
+    var _layerDepths    = typeof WeakMap === 'function' && new WeakMap();// layer => number of layers (see _layer)
+    var _guardDefaults  = setupOptions && setupOptions.guardDefaults;
+    if( _guardDefaults === true ){
+        _guardDefaults = 'report';
+    }
+    var _guardedValues  = _guardDefaults && typeof WeakMap === 'function' && new WeakMap();// value => its proxy
+    var _defaultsObjects = _guardDefaults && typeof WeakMap === 'function' && new WeakMap();// $defaults => its behavior
     var _define   = 'defineProperty' in Object &&
         (jScriptVersion===0 ||jScriptVersion>8)? Object.defineProperty : _defineProperty_es3;
+    var _getOwnNames      = _define !== _defineProperty_es3 ? Object.getOwnPropertyNames    : _getOwnPropertyNames_es3;
+    var _getOwnDescriptor = _define !== _defineProperty_es3 ? Object.getOwnPropertyDescriptor : _getOwnPropertyDescriptor_es3;
 
     // ECMAScript 5 compatibility shims:
     if(setupOptions && setupOptions.makeES5compat){
@@ -712,6 +2926,10 @@ function defineModule(){
      *  @function
      *  @param {!Object} obj */
     clone.getPrototypeOf = _getProto;
+
+    /** Registered prototypes: `{name: proto}` (see {@link clone.register}).
+     *  @type {clone.Dict} */
+    clone.registry = _registry;
             
     // // // // // // // // // // // // // // // // // // // // // // // // // // // //
 
@@ -726,12 +2944,19 @@ function defineModule(){
     clone.$ = clone.prototype;
 
     if( _define !== _defineProperty_es3) for(var name in clone$Descriptor){
+        // built-in Object.prototype.toString is used for type checks (`toString.call([])`), so it's not replaced:
+        if( name === 'toString' && _protoOfNewClones === Object.prototype ) continue;
         _define( _protoOfNewClones, name, {value: clone$Descriptor[name], writable:true, configurable:true} );
     }else{
         _protoOfNewClones = clone.$ = clone$Descriptor;
     }
     
     _protoOfNewClones.constructor.prototype = _protoOfNewClones;
+
+    // custom inspect for node.js util.inspect() and console.log():
+    if( _inspectKey && clone.$ !== Object.prototype ){
+        _define(clone.$, _inspectKey, {value:_customInspect, writable:true, configurable:true});
+    }
     
     // if `clone.prototype` has enumerable property(ies), do not use it in `clone.new`
     for(var key in _protoOfNewClones){
@@ -741,6 +2966,8 @@ function defineModule(){
     //clone.defineConstructorOf(_protoOfNewClones);
 
     clone.behavior$ = clone.extend(behavior$Descriptor);
+    clone.events$     = clone.behavior$.$extend(events$Descriptor);
+    clone.observable$ = clone.behavior$.$extend(observable$Descriptor);
     
     if(setupOptions && setupOptions.setCloneMethodByBench && _clone !== _cloneByConstructor){
         setTimeout(_setCloneMethodByBench, 0);
@@ -74,6 +74,1032 @@ this.tests = {
             test.done();
         },
 
+        $super: function(test){
+            var duck$ = clone.behavior$.$extend({
+                quack: function(){ return this.name +': quack' }
+            });
+            var talkingDuck$ = duck$.$extend({
+                quack: function(){ return this.$super() +', my name is '+ this.name }
+            });
+            var loudDuck$ = clone.extend(talkingDuck$, {
+                quack: function(){ return this.$super().toUpperCase() }
+            });
+            var donald = clone(loudDuck$, {name: 'Donald'});
+
+            test.equal(donald.quack(), 'DONALD: QUACK, MY NAME IS DONALD');
+            test.equal(clone(talkingDuck$, {name: 'Daffy'}).quack(), 'Daffy: quack, my name is Daffy');
+            test.deepEqual(Object.getOwnPropertyNames(donald), ['name']);
+            test.throws(function(){
+                clone.new({}, {orphan: function(){ return this.$super() }}).orphan();
+            }, TypeError);
+
+            var greeter$ = clone.extend(talkingDuck$, {
+                greet: function(){ return 'hello' },
+                quack: function(){
+                    var greeting = this.greet();// nested method call restores $super of quack
+                    return greeting +' '+ this.$super();
+                }
+            });
+            var nested$ = clone.extend(greeter$, {
+                greet: function(){ return this.$super().toUpperCase() }
+            });
+            test.equal(clone(nested$, {name: 'Huey'}).quack(), 'HELLO Huey: quack, my name is Huey');
+
+            test.done();
+        },
+
+        $mixins: function(test){
+            var serializable = {
+                    $defaults: {format: 'json'},
+                    serialize: function(){ return JSON.stringify(this.$get()) }
+                },
+                observable = clone.extend({
+                    $inits: {listeners: function(){ return [] }},
+                    serialize: function(){ return 'observable' },
+                    on: function(fn){ this.listeners.push(fn) }
+                });
+
+            test.throws(function(){
+                clone.extend({$mixins: [serializable, observable]});
+            }, TypeError);
+
+            var model$ = clone.extend({
+                $mixins: [serializable, {$mixin: observable, $exclude: ['serialize']}]
+            });
+            var model = clone(model$, {id: 1});
+            test.equal(model.serialize(), '{"id":1}');
+            model.on(function(){});
+
+            test.strictEqual(model$.$mixins[0], serializable);
+            test.strictEqual(model$.$mixins[1], observable);
+            test.equal(model.format, 'json');
+            test.equal(model.listeners.length, 1);
+
+            var aliased$ = clone.extend({
+                $mixins: [serializable, {$mixin: observable, $alias: {serialize: 'describe'}}],
+                serialize: function(){ return 'own' }
+            });
+            test.equal(aliased$.describe(), 'observable');
+            test.equal(aliased$.serialize(), 'own');
+
+            test.done();
+        },
+
+        $init: function(test){
+            var calls = [];
+            var base$ = clone.extend({
+                $init: function(state){ calls.push('base:'+ state.name) }
+            });
+            var user$ = clone.extend(base$, {
+                $mixins: [{ $init: function(){ calls.push('mixin') } }],
+                $init: function(state){
+                    calls.push('user');
+                    this.title = state.name.toUpperCase();
+                }
+            });
+
+            var user = clone.new({name: 'john'}, user$);
+            test.deepEqual(calls, ['base:john', 'mixin', 'user']);
+            test.equal(user.title, 'JOHN');
+
+            calls = [];
+            user = user$.$clone({name: 'ann'});
+            test.equal(user.title, 'ANN');
+            user = user$.$clone({name: 'bob'});
+            test.equal(user.title, 'BOB');
+            test.ok( user$.isPrototypeOf(user) );
+            test.equal(calls.length, 6);
+
+            var admin$ = clone.extend(user$, {isAdmin: function(){ return true }});
+            test.equal(calls.length, 6);
+            test.equal(clone(admin$, {name: 'root'}).title, 'ROOT');
+
+            test.done();
+        },
+
+        $types: function(test){
+            var address$ = clone.extend({});
+            function positive(value){ return value > 0 }
+
+            var user$ = clone.extend({
+                $types: {name: 'string', tags: ['string'], address: address$, age: positive, note: '?string'}
+            });
+            var admin$ = clone.extend(user$, {
+                $types: {level: 'number'}
+            });
+
+            var admin = clone.new({name: 'root', tags: ['a'], address: clone(address$), age: 30, note: null, level: 1}, admin$);
+            test.equal(admin.name, 'root');
+
+            test.throws(function(){ clone(user$, {name: 1}) }, TypeError);
+            test.throws(function(){ user$.$clone({address: {}}) }, TypeError);
+            test.throws(function(){ clone(admin$, {level: '1'}) }, TypeError);
+            test.throws(function(){
+                clone(user$, {tags: ['a', 2]});
+            }, /^TypeError: \$types: tags\[1\] should be string, but number given$/);
+
+            test.throws(function(){ admin.$set('age', -1) }, /age should be positive/);
+            test.throws(function(){ admin.$set({note: 5}) }, TypeError);
+            admin.$set({note: 'ok', age: 31});
+            test.equal(admin.age, 31);
+
+            test.done();
+        },
+
+        deep: function(test){
+            var inits = 0;
+            var model$ = clone.extend({
+                $inits: {cache: function(){ inits++; return {} }}
+            });
+            var original = clone(model$, {
+                list:  [1, {a: 1}],
+                date:  new Date(0),
+                regexp: /a+/gi,
+                dict:  clone.Dict({hasOwnProperty: 1})
+            });
+            original.self = original;
+
+            var copy = clone.deep(original);
+            test.strictEqual( clone.getPrototypeOf(copy), model$ );
+            test.strictEqual( copy.self, copy );
+            test.notStrictEqual( copy.list, original.list );
+            test.deepEqual( copy.list, original.list );
+            test.notStrictEqual( copy.list[1], original.list[1] );
+            test.notStrictEqual( copy.date, original.date );
+            test.equal( copy.date.getTime(), 0 );
+            test.equal( String(copy.regexp), '/a+/gi' );
+            test.strictEqual( clone.getPrototypeOf(copy.dict), null );
+            test.equal( copy.dict.hasOwnProperty, 1 );
+            test.equal( inits, 0 );
+            test.ok(! copy.hasOwnProperty('cache') );
+
+            var initedCopy = clone.deep(original, {includeInits: true});
+            test.equal( inits, 1 );
+            test.ok( initedCopy.hasOwnProperty('cache') );
+            test.notStrictEqual( initedCopy.cache, original.cache );
+
+            test.done();
+        },
+
+        flatten: function(test){
+            var base$  = clone.extend({$defaults: {a: 1, b: 1}, method: function(){}});
+            var model$ = clone.extend(base$, {
+                $defaults: {b: 2},
+                $inits: {lazy: function(){ return 'L' }}
+            });
+            var obj = clone(model$, {c: 3});
+
+            test.deepEqual( clone.flatten(obj), {a: 1, b: 2, c: 3} );
+            test.ok(! obj.hasOwnProperty('lazy') );
+            test.deepEqual( clone.flatten(obj, {upTo: base$}), {b: 2, c: 3} );
+            test.deepEqual( clone.flatten(obj, {upTo: model$}), {c: 3} );
+            test.deepEqual( clone.flatten(obj, {includeInits: true}), {a: 1, b: 2, c: 3, lazy: 'L'} );
+            test.equal( JSON.stringify(clone.flatten(obj, {upTo: clone.$})), '{"c":3,"lazy":"L","b":2,"a":1}' );
+
+            test.done();
+        },
+
+        $frozen: function(test){
+            var point$ = clone.extend({
+                $frozen: true,
+                $defaults: {x: 0, y: 0},
+                $inits: {id: function(){ return this.x +':'+ this.y }},
+                sum: function(){ return this.x + this.y }
+            });
+            test.ok( Object.isFrozen(point$) );
+            test.ok( Object.isFrozen(point$.$defaults) );
+
+            var point = clone.new({x: 1}, point$);
+            test.ok( Object.isFrozen(point) );
+            test.equal( point.id, '1:0' );
+
+            var moved = point.$set({x: 5, y: 2});
+            test.equal( point.x, 1 );
+            test.equal( moved.x, 5 );
+            test.equal( moved.sum(), 5 );// y isn't own property, so it's not changed by $set
+            test.equal( point.$set('y', 3).sum(), 4 );
+            test.ok( Object.isFrozen(moved) );
+            test.ok( point.isPrototypeOf(moved) );
+
+            var point3d$ = clone.extend(point$, {
+                $sealed: true, $frozen: false,
+                $defaults: {z: 0},
+                sum: function(){ return this.x + this.y + this.z }
+            });
+            var point3d = clone(point3d$, {x: 1, y: 1, z: 1});
+            test.ok( Object.isSealed(point3d) );
+            test.strictEqual( point3d.$set('z', 2), point3d );
+            test.equal( point3d.sum(), 4 );
+
+            var origin = clone(point3d$);
+            test.ok(! Object.isFrozen(point3d$.$defaults) );
+            test.ok( origin.hasOwnProperty('x') );// inherited state is copied before sealing
+            origin.x = 3;
+            test.strictEqual( origin.$set('y', 2), origin );
+            test.equal( origin.sum(), 5 );
+            test.throws(function(){ origin.$set('w', 1) }, /^TypeError: \$set: can't add property w to sealed object$/);
+
+            if( typeof require === 'function' ){
+                var strictClone = load({freezeBehaviors: true, makeGlobal: false});
+                var user$ = strictClone.extend({$defaults: {name: ''}, greet: function(){}});
+                var user = strictClone(user$);
+                test.ok( Object.isFrozen(user$) );
+                test.ok(! Object.isFrozen(user$.$defaults) );
+                (function(){ "use strict"; user.name = 'John' })();
+                test.equal( user.name, 'John' );
+            }
+
+            test.done();
+        },
+
+        $with: function(test){
+            var config = clone.new({name: 'app', db: {connection: {port: 80}}, hosts: ['a', 'b']});
+
+            var renamed = config.$with({name: 'new'});
+            test.equal( config.name, 'app' );
+            test.equal( renamed.name, 'new' );
+            test.ok( config.isPrototypeOf(renamed) );
+
+            var updated = config.$update('db.connection.port', function(port){ return port + 1 });
+            test.equal( updated.db.connection.port, 81 );
+            test.equal( config.db.connection.port, 80 );
+            test.ok( config.db.connection.isPrototypeOf(updated.db.connection) );
+
+            var hosts = config.$update(['hosts', 1], function(){ return 'c' });
+            test.deepEqual( hosts.hosts, ['a', 'c'] );
+            test.deepEqual( config.hosts, ['a', 'b'] );
+            test.equal( config.$update('cache.size', function(){ return 1 }).cache.size, 1 );
+
+            var version = config;
+            for(var i=1; i <= 100; i++){
+                var patch = {version: i};
+                patch['key'+ i] = i;
+                version = version.$with(patch);
+            }
+            test.equal( version.version, 100 );
+            test.equal( version.key1, 1 );
+            test.equal( version.key100, 100 );
+            for(var depth=0, obj = version; obj !== config; obj = Object.getPrototypeOf(obj)) depth++;
+            test.ok( depth <= 16 );
+            test.deepEqual( Object.getOwnPropertyNames(version.$with({a: 1})), ['a'] );// depth isn't own property
+
+            test.done();
+        },
+
+        chain: function(test){
+            var animal$ = clone.extend({$defaults: {legs: 4}, walk: function(){}});
+            var duck$   = clone.extend(animal$, {$defaults: {legs: 2}, quack: function(){}});
+            var donald  = clone(duck$, {name: 'Donald'});
+
+            var chain = clone.chain(donald);
+            test.strictEqual( chain[0], duck$ );
+            test.strictEqual( chain[chain.length - 1], Object.prototype );
+            test.ok( chain.indexOf(animal$) > chain.indexOf(duck$.$defaults) );
+            test.ok( chain.indexOf(clone.$) > chain.indexOf(animal$) );
+            test.deepEqual( donald.$protos(), chain );
+            test.deepEqual( clone.chain(Object.create(null)), [] );
+
+            test.strictEqual( clone.whereDefined(donald, 'name'), donald );
+            test.strictEqual( donald.$owner('quack'), duck$ );
+            test.strictEqual( donald.$owner('walk'),  animal$ );
+            test.strictEqual( donald.$owner('legs'),  duck$.$defaults );
+            test.strictEqual( donald.$owner('hasOwnProperty'), Object.prototype );
+            test.strictEqual( donald.$owner('fly'), null );
+
+            test.done();
+        },
+
+        protocol: function(test){
+            var comparable = clone.protocol({name: 'Comparable', methods: ['compareTo'], properties: ['value']});
+
+            test.throws(function(){
+                clone.extend({$implements: [comparable], $defaults: {value: 0}});
+            }, /Comparable requires compareTo\(\)/);
+
+            var money$ = clone.extend({
+                $implements: [comparable],
+                $types: {value: 'number'},
+                compareTo: function(other){ return this.value - other.value }
+            });
+            test.strictEqual( money$.$implements[0], comparable );
+
+            var money = clone(money$, {value: 5});
+            var duckTyped = {value: 1, compareTo: function(){ return 0 }};
+            test.ok( clone.conforms(money, comparable) );
+            test.ok( clone.conforms(duckTyped, comparable) );
+            test.ok(!clone.conforms({value: 1}, comparable) );
+            test.ok(!clone.conforms(null, comparable) );
+
+            var euro$ = clone.extend(money$, {$implements: [], currency: function(){ return 'EUR' }});
+            test.deepEqual( euro$.$implements, [comparable] );
+
+            test.done();
+        },
+
+        observable: function(test){
+            var user$ = clone.observable$.$extend({name: '', age: 0}, {
+                greet: function(){ return 'Hi, '+ this.name }
+            });
+            var user = clone(user$, {email: 'a@b.c'});
+            var byName = [], all = [];
+            user.$observe('name', function(changes){ byName.push(changes) });
+            user.$observe('*',    function(changes){ all.push(changes) });
+
+            user.name = 'John';
+            test.equal( user.greet(), 'Hi, John' );
+            test.equal( byName.length, 1 );
+            test.equal( byName[0][0].oldValue, '' );
+            test.equal( byName[0][0].value, 'John' );
+            test.strictEqual( byName[0][0].object, user );
+            test.strictEqual( byName[0][0].shadowed, user$.$defaults );
+
+            user.$set({name: 'Bob', email: 'b@c.d'});
+            test.equal( byName.length, 2 );
+            test.ok(! ('shadowed' in byName[1][0]) );
+            test.equal( all.length, 3 );
+            test.equal( all[2][0].name, 'email' );
+
+            user.$transaction(function(){
+                this.age = 1;
+                this.age = 2;
+                this.name = 'Tom';
+            });
+            test.equal( all.length, 4 );
+            test.equal( all[3].length, 3 );
+            test.equal( byName.length, 3 );
+            test.equal( byName[2].length, 1 );
+
+            user.$unobserve('*', user.$observers['*'][0]);
+            user.age = 3;
+            test.equal( all.length, 4 );
+            test.equal( user.$get().age, 3 );
+            test.deepEqual( Object.keys(user.$get()).sort(), ['age', 'email', 'name'] );
+            test.equal( user$.$defaults.age, 0 );
+
+            var copy = clone.deep(user), copied = [];
+            test.equal( clone.Dict.size(copy.$observers), 0 );
+            copy.$observe('name', function(changes){ copied.push(changes) });
+            copy.name = 'Ann';
+            test.equal( user.name, 'Tom' );
+            test.equal( copy.name, 'Ann' );
+            test.equal( byName.length, 3 );
+            test.equal( copied.length, 1 );
+            test.equal( copied[0][0].oldValue, 'Tom' );
+            test.strictEqual( copied[0][0].object, copy );
+
+            var layer = user.$with({name: 'Lee'}), layered = [];
+            layer.$observe('age', function(changes){ layered.push(changes) });
+            layer.age = 5;
+            test.equal( layer.age, 5 );
+            test.equal( user.age, 3 );
+            test.equal( byName.length, 3 );
+            test.equal( layered.length, 1 );
+            test.equal( layered[0][0].oldValue, 3 );
+            test.equal( user.$observers.age, undefined );
+            user.email = 'c@d.e';
+            test.equal( layer.email, 'c@d.e' );// not changed values are inherited
+
+            test.done();
+        },
+
+        events: function(test){
+            var widget$ = clone.extend({$mixins: [clone.events$], render: function(){}});
+            var button$ = clone.events$.$extend({click: function(){ return this.emit('click', 1, 2) }});
+            var a = clone(widget$), b = clone(button$), calls = [];
+
+            test.ok(! a.hasOwnProperty('$listeners') );
+            a.on('change', function(x){ calls.push('a:'+ x) });
+            test.ok( a.hasOwnProperty('$listeners') );
+            test.ok(! b.emit('change', 1) );
+            test.equal( Object.keys(a).length, 0 );
+
+            b.on('click.ui', function(x, y){ calls.push('ui:'+ (x + y)) });
+            b.once('click',  function(){ calls.push('once') });
+            b.on('*', function(event, x){ calls.push('*:'+ event +':'+ x) });
+            test.ok( b.click() );
+            b.click();
+            test.deepEqual( calls, ['ui:3', 'once', '*:click:1', 'ui:3', '*:click:1'] );
+
+            calls = [];
+            b.off('.ui');
+            b.click();
+            test.deepEqual( calls, ['*:click:1'] );
+
+            calls = [];
+            b.off();
+            b.on('save', function(){ throw new Error('failed') });
+            b.on('save', function(){ calls.push('saved') });
+            test.throws(function(){ b.emit('save') }, /failed/);
+            test.deepEqual( calls, ['saved'] );
+            b.on('error', function(error, event){ calls.push(event +': '+ error.message) });
+            b.emit('save');
+            test.deepEqual( calls, ['saved', 'saved', 'save: failed'] );
+
+            var copy = clone.deep(b);
+            copy.on('save', function(){ calls.push('copy') });
+            test.equal( b.$listeners.save.length, 2 );
+            test.equal( copy.$listeners.save.length, 1 );
+            test.ok(! copy.propertyIsEnumerable('$listeners') );
+
+            var count = 0, counter = function(){ count++ };
+            b.off();
+            b.on('x', counter).once('x', counter);
+            b.emit('x');
+            b.emit('x');
+            test.equal( count, 3 );
+
+            test.done();
+        },
+
+        $computed: function(test){
+            var calls = 0;
+            var person$ = clone.extend({
+                $defaults: {first: '', last: ''},
+                $inits: {id: function(){ return 7 }},
+                $computed: {
+                    fullName: function(){
+                        calls++;
+                        return this.first +' '+ this.last;
+                    },
+                    label: function(){ return this.fullName +' #'+ this.id }
+                }
+            });
+            var person = clone(person$, {first: 'John', last: 'Smith'});
+
+            test.equal( person.fullName, 'John Smith' );
+            test.equal( person.fullName, 'John Smith' );
+            test.equal( calls, 1 );
+            test.deepEqual( Object.keys(person).sort(), ['first', 'last'] );
+
+            person.$set('first', 'Jane');
+            test.equal( person.fullName, 'Jane Smith' );
+            test.equal( calls, 2 );
+            person.last = 'Doe';
+            test.equal( person.label, 'Jane Doe #7' );
+            test.equal( calls, 3 );
+            test.ok( person.hasOwnProperty('id') );
+            test.equal( person.label, 'Jane Doe #7' );
+            test.equal( calls, 3 );
+
+            var other = clone(person$, {first: 'Bob'});
+            test.equal( other.fullName, 'Bob ' );
+            test.equal( person.fullName, 'Jane Doe' );
+            test.equal( calls, 4 );
+            try{ other.fullName = 'x' }catch(e){}// read-only
+            test.equal( other.fullName, 'Bob ' );
+
+            var copy = clone.deep(person);
+            test.ok(! copy.hasOwnProperty('$computedCache') );
+            test.equal( copy.fullName, 'Jane Doe' );
+            test.equal( calls, 5 );
+
+            var named$ = clone.extend({
+                $defaults: {name: 'John'},
+                $computed: {title: function(){ return this.nick || this.name }}
+            });
+            var named = clone(named$);
+            test.equal( named.title, 'John' );
+            named.nick = 'Jo';
+            test.equal( named.title, 'Jo' );
+
+            test.done();
+        },
+
+        $reset: function(test){
+            var loads = 0, computes = 0;
+            var config$ = clone.extend({
+                $inits:    {data: function(){ loads++; return {loaded: loads} }},
+                $computed: {size: function(){ computes++; return this.data.loaded }}
+            });
+            var config = clone(config$, {name: 'cfg'});
+
+            test.ok(! config.$isInitialized('data') );
+            test.ok(! config.$isInitialized('size') );
+            test.ok( config.$isInitialized('name') );
+            test.ok(! config.$isInitialized('missing') );
+
+            test.equal( config.size, 1 );
+            test.ok( config.$isInitialized('data') );
+            test.ok( config.$isInitialized('size') );
+
+            test.ok( config.$reset('data') );
+            test.ok(! config.$reset('data') );
+            test.ok(! config.$reset('name') );
+            test.ok(! config.$isInitialized('data') );
+            test.equal( config.data.loaded, 2 );
+            test.equal( config.size, 2 );
+
+            config.$invalidate();
+            test.ok(! config.$isInitialized('data') );
+            test.ok(! config.$isInitialized('size') );
+            test.equal( config.size, 3 );
+            test.equal( computes, 3 );
+            test.equal( config.name, 'cfg' );
+
+            var emitter = clone(clone.extend(clone.events$, {$inits: {cache: function(){ return [] }}}));
+            emitter.on('change', function(){});
+            emitter.cache;
+            test.ok( emitter.$reset() );
+            test.ok(! emitter.$isInitialized('cache') );
+            test.equal( emitter.$listeners.change.length, 1 );
+
+            test.done();
+        },
+
+        $asyncInits: function(test){
+            var loads = [];
+            var user$ = clone.extend({
+                $asyncInits: {
+                    profile: function(name){
+                        var loading = deferred();
+                        loads.push(loading);
+                        return loading.promise;
+                    }
+                }
+            });
+            var user = clone(user$, {id: 1}), results = [];
+
+            var first = user.profile;
+            test.strictEqual( user.profile, first );
+            test.equal( loads.length, 1 );
+            test.ok(! user.$isInitialized('profile') );
+            test.deepEqual( Object.keys(user), ['id'] );
+
+            first.then(null, function(error){ results.push(error) });
+            loads[0].reject('network error');
+            test.deepEqual( results, ['network error'] );
+            test.ok(! user.hasOwnProperty('profile') );
+
+            user.profile.then(function(profile){ results.push(profile) });
+            test.equal( loads.length, 2 );
+            loads[1].resolve({name: 'John'});
+            test.equal( results[1].name, 'John' );
+            test.strictEqual( user.profile, results[1] );
+            test.ok( user.$isInitialized('profile') );
+            test.deepEqual( Object.keys(user), ['id', 'profile'] );
+
+            test.ok( user.$reset('profile') );
+            user.profile;
+            test.equal( loads.length, 3 );
+            user.profile = 'manual';
+            loads[2].resolve({name: 'late'});
+            test.equal( user.profile, 'manual' );
+
+            var broken = clone(clone.extend({$asyncInits: {profile: function(){ return 1 }}}));
+            test.throws(function(){ broken.profile }, /^TypeError: \$asyncInits: initializer of profile should return a promise/);
+
+            test.throws(function(){ clone.extend(user$, {$frozen: true}) }, TypeError);
+            test.throws(function(){ clone.extend({$sealed: true, $asyncInits: {a: function(){}}}) }, TypeError);
+
+            test.done();
+        },
+
+        nativePromiseAsyncInit: function(test){
+            if( typeof Promise !== 'function' ){
+                test.done();
+                return;
+            }
+            var config$ = clone.extend({
+                $asyncInits: {data: function(){ return Promise.resolve({loaded: true}) }}
+            });
+            var config = clone(config$), loading = config.data;
+            test.ok( loading instanceof Promise );
+            loading.then(function(data){
+                test.ok( data.loaded );
+                test.strictEqual( config.data, data );
+                test.ok( config.$isInitialized('data') );
+                test.done();
+            });
+        },
+
+        stringify: function(test){
+            var user$ = clone.extend({
+                name: '',
+                $types: {name: 'string'},
+                greet: function(){ return 'Hi, '+ this.name }
+            });
+            var admin$ = clone.extend(user$, {level: 1});
+            var registry = {'User': user$};
+
+            var john = clone(user$, {name: 'John', born: new Date(1000)});
+            var root = clone(admin$, {name: 'Root', tags: ['a', 'b']});
+            var group = {
+                owner: root, members: [john, root],
+                index: clone.Dict({john: john})
+            };
+            john.group = group;
+
+            var json = clone.stringify(group, registry);
+            test.equal( typeof json, 'string' );
+            test.equal( JSON.parse(json).owner.$proto, 'User' );
+
+            var restored = clone.parse(json, registry);
+            var john2 = restored.members[0], root2 = restored.owner;
+            test.ok( user$.isPrototypeOf(john2) );
+            test.equal( john2.greet(), 'Hi, John' );
+            test.ok( john2.born instanceof Date );
+            test.equal( john2.born.getTime(), 1000 );
+            test.strictEqual( john2.group, restored );
+            test.strictEqual( restored.members[1], root2 );
+            test.strictEqual( restored.index.john, john2 );
+            test.strictEqual( Object.getPrototypeOf(restored.index), null );
+            test.equal( root2.level, 1 );// state of not registered admin$ is saved
+            test.deepEqual( root2.tags, ['a', 'b'] );
+
+            test.equal( clone.parse(clone.stringify(clone.new({a: 1}))).$get().a, 1 );
+            test.throws(function(){ clone.parse(json, {}) }, TypeError);
+
+            var seen = [];
+            var node$ = clone.extend({
+                $types: {parent: '?object'},
+                $frozen: true,
+                $init: function(state){ seen.push(this.parent && this.parent.name, state.parent && state.parent.name) }
+            });
+            var parent = {name: 'root', children: []};
+            parent.children.push(clone(node$, {parent: parent}));
+            seen = [];
+            var parsed = clone.parse(clone.stringify(parent, {Node: node$}), {Node: node$});
+            test.strictEqual( parsed.children[0].parent, parsed );
+            test.ok( Object.isFrozen(parsed.children[0]) );
+            test.deepEqual( seen, ['root', 'root'] );
+
+            test.done();
+        },
+
+        registry: function(test){
+            var user$ = clone.extend({$name: 'app.models.User', name: ''});
+            var admin$ = clone.extend(user$, {level: 1});
+            var john = clone(admin$, {name: 'John'});
+
+            test.strictEqual( clone.lookup('app.models.User'), user$ );
+            test.strictEqual( clone.lookup('app.models.Admin'), undefined );
+            test.equal( user$.$name, 'app.models.User' );
+            test.ok(! user$.propertyIsEnumerable('$name') );
+            test.equal( clone.nameOf(john), 'app.models.User' );
+            test.equal( String(john), '[object app.models.User]' );
+            test.equal( String(clone.new({a: 1})), '[object Object]' );
+
+            test.throws(function(){ clone.extend({$name: 'app.models.User'}) }, TypeError);
+            test.throws(function(){ clone.register('app..User', {}) }, TypeError);
+            test.strictEqual( clone.register('app.models.User', user$), user$ );
+
+            var restored = clone.parse( clone.stringify({users: [john]}) ).users[0];
+            test.ok( user$.isPrototypeOf(restored) );
+            test.equal( restored.level, 1 );
+
+            test.ok( clone.unregister('app.models.User') );
+            test.ok(! clone.unregister('app.models.User') );
+            test.strictEqual( clone.lookup('app.models.User'), undefined );
+
+            test.done();
+        },
+
+        inspect: function(test){
+            var initCalls = 0;
+            var user$ = clone.extend({
+                $name: 'test.inspect.User',
+                $defaults: {role: 'guest'},
+                $inits: {data: function(){ initCalls++; return {} }},
+                greet: function(){}
+            });
+            var admin$ = clone.extend(user$, {$name: 'test.inspect.Admin'});
+            var user = clone(admin$, {name: 'John', tags: ['a'], meta: clone.Dict({x: 1})});
+
+            test.equal( clone.inspect(user),
+                "test.inspect.Admin < test.inspect.User { name: 'John', tags: [ 'a' ], meta: Dict { x: 1 },"
+                + " role: 'guest' (inherited), data: [lazy] }" );
+            test.equal( initCalls, 0 );
+            test.equal( clone.inspect({a: {b: {}}}, {depth: 0}), 'Object { a: [Object] }' );
+
+            user.data;
+            test.equal( clone.inspect(user, {depth: 0}),
+                "test.inspect.Admin < test.inspect.User { name: 'John', tags: [Array], meta: [Dict], data: [Object],"
+                + " role: 'guest' (inherited) }" );
+
+            if( typeof require === 'function' && typeof Symbol === 'function' ){
+                var inspected = require('util').inspect( clone(user$, {name: 'Ann'}) );
+                test.equal( inspected, "test.inspect.User { name: 'Ann', role: 'guest' (inherited), data: [lazy] }" );
+            }
+
+            var node = clone.new({name: 'a'});
+            node.self = node;
+            node.list = [node, {owner: node}];
+            test.equal( clone.inspect(node, {depth: null}),
+                "Object { name: 'a', self: [Circular], list: [ [Circular], Object { owner: [Circular] } ] }" );
+            test.equal( clone.inspect({a: user, b: user}, {depth: 0}), 'Object { a: [test.inspect.Admin < test.inspect.User], b: [test.inspect.Admin < test.inspect.User] }' );
+            if( typeof require === 'function' && typeof Symbol === 'function' ){
+                inspected = require('util').inspect(node, {depth: null});
+                test.ok( /self: \[Circular\]/.test(inspected) );
+                test.ok( /owner: \[Circular\]/.test(inspected) );
+            }
+            clone.unregister('test.inspect.User');
+            clone.unregister('test.inspect.Admin');
+
+            test.done();
+        },
+
+        diff: function(test){
+            var config$ = clone.extend({
+                $defaults: {port: 80, db: {host: 'localhost', user: 'root'}},
+                $inits: {cache: function(){ return [] }},
+                $types: {port: 'number'}
+            });
+            var a = clone(config$, {name: 'a', tags: ['x'], born: new Date(1)});
+            var b = clone(config$, {name: 'a', tags: ['x'], born: new Date(1)});
+
+            test.ok(! clone.equals(a, b) );
+            test.ok( clone.equals(a, b, {deep: true}) );
+            a.cache;
+            test.ok( clone.equals(a, b, {deep: true, includeInherited: true}) );
+
+            b.port = 80;
+            test.ok(! clone.equals(a, b, {deep: true}) );
+            test.ok( clone.equals(a, b, {deep: true, includeInherited: true}) );
+            b.port = 8080;
+            test.ok(! clone.equals(a, b, {deep: true, includeInherited: true}) );
+
+            b.db = clone(b.db, {host: 'db.local'});
+            b.name = 'b';
+            b.extra = true;
+            delete b.born;
+            test.deepEqual( clone.diff(a, b), [
+                {op: 'change', path: 'name', oldValue: 'a', value: 'b'},
+                {op: 'remove', path: 'born', oldValue: a.born},
+                {op: 'add', path: 'port', value: 8080},
+                {op: 'add', path: 'db', value: b.db},
+                {op: 'add', path: 'extra', value: true}
+            ]);
+            test.deepEqual( clone.diff(a, b, {includeInherited: true}).slice(2, 4), [
+                {op: 'change', path: 'port', oldValue: 80, value: 8080},
+                {op: 'change', path: 'db.host', oldValue: 'localhost', value: 'db.local'}
+            ]);
+            test.deepEqual( clone.diff(b), [
+                {op: 'change', path: 'port', oldValue: 80, value: 8080},
+                {op: 'change', path: 'db.host', oldValue: 'localhost', value: 'db.local'},
+                {op: 'add', path: 'name', value: 'b'},
+                {op: 'add', path: 'tags', value: ['x']},
+                {op: 'add', path: 'extra', value: true}
+            ]);
+
+            var changes = clone.diff(a, b, {includeInherited: true});
+            var patched = clone.patch(a, changes);
+            test.strictEqual( patched, a );
+            test.ok( clone.equals(a, b, {deep: true, includeInherited: true}) );
+            test.equal( config$.$defaults.db.host, 'localhost' );
+            test.ok(! a.hasOwnProperty('born') );
+
+            clone.patch(a, [{op: 'remove', path: 'db.user'}]);
+            test.equal( a.db.user, undefined );
+            test.equal( config$.$defaults.db.user, 'root' );
+
+            test.throws(function(){ clone.patch(a, [{op: 'change', path: 'port', value: '80'}]) }, TypeError);
+
+            test.done();
+        },
+
+        Dict: function(test){
+            var phones = clone.Dict({John: '+7987654'});
+            phones['hasOwnProperty'] = '+7666666';
+            phones['__proto__'] = '+7000000';
+
+            test.deepEqual( clone.Dict.keys(phones), ['John', 'hasOwnProperty', '__proto__'] );
+            test.deepEqual( clone.Dict.values(phones), ['+7987654', '+7666666', '+7000000'] );
+            test.deepEqual( clone.Dict.entries(phones)[1], ['hasOwnProperty', '+7666666'] );
+            test.equal( clone.Dict.size(phones), 3 );
+            test.equal( clone.Dict.getOr(phones, '__proto__', 'none'), '+7000000' );
+            test.equal( clone.Dict.getOr(phones, 'toString', 'none'), 'none' );
+            test.equal( clone.Dict.getOr({}, 'hasOwnProperty', 'none'), 'none' );
+
+            var merged = clone.Dict.merge(phones, {Peter: '+7654321', John: '+7111111'});
+            test.strictEqual( Object.getPrototypeOf(merged), null );
+            test.equal( merged.John, '+7111111' );
+            test.equal( phones.John, '+7987654' );
+            test.equal( clone.Dict.size(merged), 4 );
+
+            var iterator = clone.Dict.iterate(phones), pairs = [];
+            for(var step = iterator.next(); !step.done; step = iterator.next()) pairs.push(step.value);
+            test.deepEqual( pairs, clone.Dict.entries(phones) );
+
+            if( typeof Symbol === 'function' && Symbol.iterator ){
+                test.deepEqual( Array.from(phones), pairs );
+                test.deepEqual( Object.keys(phones), ['John', 'hasOwnProperty', '__proto__'] );
+            }
+            test.done();
+        },
+
+        collections: function(test){
+            var base$ = clone.extend({$defaults: {currency: 'USD'}, total: function(){}});
+            var prices$ = clone.extend(base$, {$defaults: {tax: 2}});
+            var prices = clone(prices$, {apple: 3, pear: 5, plum: 1});
+
+            test.deepEqual( prices.$keys(), ['apple', 'pear', 'plum'] );
+            test.deepEqual( prices.$keys({inherited: true}), ['apple', 'pear', 'plum', 'tax', 'currency'] );
+            test.deepEqual( prices.$keys({upTo: base$}), ['apple', 'pear', 'plum', 'tax'] );
+            test.deepEqual( prices.$values(), [3, 5, 1] );
+            test.deepEqual( prices.$entries()[1], ['pear', 5] );
+            test.equal( prices.$size(), 3 );
+            test.equal( prices.$size({inherited: true}), 5 );
+
+            var cheap = prices.$filter(function(price){ return price < 4 });
+            test.strictEqual( Object.getPrototypeOf(cheap), prices$ );
+            test.deepEqual( Object.keys(cheap), ['apple', 'plum'] );
+
+            test.equal( prices.$reduce(function(sum, price){ return sum + price }), 9 );
+            test.equal( prices.$reduce(function(sum, price){ return sum + price }, 10), 19 );
+            test.equal( prices.$reduce(function(sum, price){ return sum + price }, 0, {upTo: base$}), 11 );
+            test.throws(function(){ clone(prices$).$reduce(function(){}) }, TypeError);
+            test.equal( prices.$reduce(function(sum, price){ return sum + price }, undefined, {upTo: base$}), 11 );
+
+            test.ok( prices.$some(function(price){ return price > 4 }) );
+            test.ok(! prices.$every(function(price){ return price > 1 }) );
+            test.ok( prices.$every(function(price){ return typeof price === 'number' }) );
+            test.equal( prices.$find(function(price, key){ return key.charAt(0) === 'p' }), 5 );
+            test.equal( prices.$find(function(price){ return price > 10 }), undefined );
+            test.equal( prices.$find(function(value){ return typeof value === 'string' }, null, {inherited: true}), 'USD' );
+
+            test.deepEqual( Object.keys(prices.$pick(['pear', 'kiwi'])), ['pear'] );
+            test.deepEqual( Object.keys(prices.$pick(['tax'], {inherited: true})), ['tax'] );
+            test.deepEqual( Object.keys(prices.$omit(['pear'])), ['apple', 'plum'] );
+            test.ok( prices$.isPrototypeOf(prices.$omit([])) );
+
+            var picked = prices.$pick(['apple'], {inherited: true});
+            test.strictEqual( Object.getPrototypeOf(picked), clone.$ );
+            test.equal( picked.tax, undefined );
+            var omitted = prices.$omit(['tax', 'pear'], {upTo: base$});
+            test.strictEqual( Object.getPrototypeOf(omitted), base$ );
+            test.equal( omitted.tax, undefined );
+            test.equal( omitted.currency, 'USD' );
+            test.deepEqual( omitted.$keys(), ['apple', 'plum'] );
+
+            test.done();
+        },
+
+        inheritedState: function(test){
+            var inits = 0;
+            var config$ = clone.extend({
+                $defaults: {port: 80},
+                $inits: {cache: function(){ inits++; return [] }},
+                connect: function(){}
+            });
+            var config = clone(config$, {host: 'localhost'}), keys = [];
+
+            config.$each(function(value, key){ keys.push(key) });
+            test.deepEqual( keys, ['host'] );
+            test.deepEqual( Object.keys(config.$get()), ['host'] );
+            test.deepEqual( Object.keys(config.$with({port: 81}).$get()), ['port'] );// service properties are skipped
+            test.deepEqual( Object.getOwnPropertyNames(config.$with({port: 81})), ['port'] );
+            test.deepEqual( clone.Dict.entries(config.$get({inherited: true})), [['host', 'localhost'], ['port', 80]] );
+            test.equal( config.$get(['port']).port, 80 );
+            test.ok(! config.$map(function(value){ return value }, null, null, {upTo: config$}).hasOwnProperty('port') );
+            test.equal( config.$map(function(value){ return value * 2 }, null, null, {inherited: true}).$get().port, 160 );
+
+            var descriptor = config.$get({includeInits: 'descriptor'}).cache;
+            test.equal( typeof descriptor.get, 'function' );
+            test.equal( inits, 0 );
+            test.deepEqual( config.$keys({inherited: true, includeInits: 'descriptor'}), ['host', 'port', 'cache'] );
+
+            test.deepEqual( config.$get({includeInits: 'trigger'}).cache, [] );
+            test.equal( inits, 1 );
+            test.deepEqual( config.$keys(), ['host', 'cache'] );
+
+            test.throws(function(){ config.$each(function(){}, null, {includeInits: 'yes'}) }, TypeError);
+
+            test.done();
+        },
+
+        strictSet: function(test){
+            var form$ = clone.extend({
+                $defaults: {email: ''},
+                $types: {age: '?number'},
+                submit: function(){}
+            });
+            var form = clone(form$, {name: 'John', note: 'x'});
+
+            form.$set({name: 'Ann', nmae: 'typo', email: 'a@b'});
+            test.equal( form.name, 'Ann' );
+            test.ok(! form.hasOwnProperty('email') );
+            test.ok(! form.hasOwnProperty('nmae') );
+
+            test.throws(function(){ form.$set({nmae: 'typo'}, {strict: true}) }, /^TypeError: \$set: unknown property nmae$/);
+            test.throws(function(){ form.$set('submit', 1, {strict: true, allowInherited: true}) }, TypeError);
+            test.throws(function(){ form.$assign({nmae: 'typo'}) }, TypeError);
+            test.equal( form.name, 'Ann' );
+
+            var input = JSON.parse('{"__proto__": {"isAdmin": true, "age": "x"}}');
+            test.throws(function(){ form.$assign(input) }, /unknown property __proto__/);
+            test.deepEqual( form.$set(input, {returnChanges: true}).ignored, ['__proto__'] );
+            form.$set('__proto__', {isAdmin: true});
+            test.strictEqual( Object.getPrototypeOf(form), form$ );
+            test.ok(! ('isAdmin' in form) );
+
+            form.$set('note', undefined);
+            test.ok( form.hasOwnProperty('note') );
+            test.strictEqual( form.note, undefined );
+
+            var summary = form.$set({name: 'Ann', email: 'a@b', age: 30, nmae: 1}, {allowInherited: true, returnChanges: true});
+            test.strictEqual( summary.object, form );
+            test.deepEqual( summary.changes, [
+                {op: 'add', path: 'email', value: 'a@b'},
+                {op: 'add', path: 'age', value: 30}
+            ]);
+            test.deepEqual( summary.ignored, ['nmae'] );
+
+            summary = form.$assign({name: 'Bob'}, {returnChanges: true});
+            test.deepEqual( summary.changes, [{op: 'change', path: 'name', oldValue: 'Ann', value: 'Bob'}] );
+            test.throws(function(){ form.$assign({age: '30'}) }, TypeError);
+
+            test.done();
+        },
+
+        $setIn: function(test){
+            var base = clone.new({db: {connection: {host: 'localhost', port: 5432}}, hosts: ['a']});
+            var config = clone(base);
+
+            test.equal( config.$getIn('db.connection.port'), 5432 );
+            test.equal( config.$getIn(['db', 'missing', 'port']), undefined );
+
+            test.strictEqual( config.$setIn('db.connection.port', 5433), config );
+            test.equal( config.$getIn('db.connection.port'), 5433 );
+            test.equal( config.db.connection.host, 'localhost' );
+            test.equal( base.db.connection.port, 5432 );
+            test.ok( config.hasOwnProperty('db') );
+            test.ok( base.db.isPrototypeOf(config.db) );
+
+            var db = config.db;
+            config.$setIn('db.user', 'root');
+            test.strictEqual( config.db, db );
+            test.equal( base.db.user, undefined );
+
+            config.$setIn(['hosts', 1], 'b');
+            test.deepEqual( config.hosts, ['a', 'b'] );
+            test.deepEqual( base.hosts, ['a'] );
+
+            config.$setIn('cache.redis.port', 6379);
+            test.equal( config.cache.redis.port, 6379 );
+
+            var typed$ = clone.extend({$defaults: {limits: clone.extend({$types: {max: 'number'}, max: 1})}});
+            var typed = clone(typed$);
+            test.throws(function(){ typed.$setIn('limits.max', '2') }, TypeError);
+            test.ok(! typed.hasOwnProperty('limits') );
+            typed.$setIn('limits.max', 2);
+            test.equal( typed.limits.max, 2 );
+            test.equal( typed$.limits.max, 1 );
+
+            test.done();
+        },
+
+        guardDefaults: function(test){
+            if( typeof require !== 'function' || typeof Proxy !== 'function' ){
+                return test.done();
+            }
+            var devClone = load({guardDefaults: 'report', makeGlobal: false});
+            var list$ = devClone.extend({$name: 'test.List', $defaults: {
+                items: [], options: {sort: {by: 'name'}}, created: new Date(0), pattern: /a/g
+            }});
+            var list = devClone(list$);
+
+            test.equal( list.created.getTime(), 0 );
+            test.ok( list.pattern.test('aa') );
+
+            test.throws(function(){ list.items.push(1) }, /^TypeError: \$defaults: items of test\.List is shared/);
+            test.throws(function(){ list.options.sort.by = 'date' }, /options\.sort of test\.List/);
+            test.equal( list$.$defaults.items.length, 0 );
+            test.strictEqual( list.options.sort, list.options.sort );
+
+            list.items = [1];
+            test.deepEqual( list.items, [1] );
+            list.$setIn('options.sort.by', 'date');
+            test.equal( list.options.sort.by, 'date' );
+            test.equal( list$.options.sort.by, 'name' );
+
+            var copyClone = load({guardDefaults: 'copy', makeGlobal: false});
+            var set$ = copyClone.extend({$defaults: {items: [], name: 'set'}});
+            var subset$ = copyClone.extend(set$, {$defaults: {size: 0}});
+            var a = copyClone(subset$), b = copyClone(subset$);
+            test.deepEqual( set$.items, [] );
+            test.deepEqual( subset$.items, [] );
+            test.deepEqual( subset$.$defaults.items, [] );
+            test.deepEqual( a.$keys({inherited: true}), ['size', 'items', 'name'] );
+
+            a.items.push(1);
+            test.deepEqual( a.items, [1] );
+            test.deepEqual( b.items, [] );
+            test.deepEqual( set$.$defaults.items, [] );
+            test.equal( a.name, 'set' );
+            b.items = [2];
+            test.deepEqual( b.items, [2] );
+            test.deepEqual( copyClone.flatten(copyClone(subset$)).items, [] );
+
+            var fixed$ = copyClone.extend({$name: 'test.Fixed', $frozen: true, $defaults: {items: []}});
+            var fixed = copyClone(fixed$);
+            test.throws(function(){ fixed.items.push(1) }, /items of test\.Fixed is shared/);
+            test.deepEqual( fixed$.$defaults.items, [] );
+            test.strictEqual( fixed.items, fixed.items );
+            copyClone.unregister('test.Fixed');
+
+            test.done();
+        },
+
         create: function(test){
             var c = clone.new({a:1});
             test.ok( c.hasOwnProperty('a') );
@@ -94,4 +1120,47 @@ Object.getOwnPropertyNames = function(obj){
         names.push(name);
     }
     return names;
-}
\ No newline at end of file
+}
+/** Minimal thenable, resolved/rejected manually (native Promise isn't available everywhere). */
+function deferred(){
+    var callbacks = [], state, result;
+    function flush(){
+        while( state && callbacks.length ){
+            var callback = callbacks.shift(), handler = callback[state === 'resolved' ? 0 : 1], next = callback[2];
+            try{
+                if( handler )                  next.resolve( handler(result) );
+                else if( state === 'resolved' ) next.resolve(result);
+                else                           next.reject(result);
+            }catch(e){
+                next.reject(e);
+            }
+        }
+    }
+    function settle(newState, value){
+        if( state ) return;
+        state = newState; result = value;
+        flush();
+    }
+    return {
+        promise: {then: function(onResolved, onRejected){
+            var next = deferred();
+            callbacks.push([onResolved, onRejected, next]);
+            flush();
+            return next.promise;
+        }},
+        resolve: function(value){ settle('resolved', value) },
+        reject:  function(error){ settle('rejected', error) }
+    };
+}
+/** Loads separate copy of clone.js with given options (node only). */
+function load(options){
+    var path = require.resolve('../src/clone.js'), globalClone = global.clone;
+    delete require.cache[path];
+    global.clone = options;
+    try{
+        return require(path);
+    }finally{
+        global.clone = globalClone;
+        delete require.cache[path];
+    }
+}